@@ -1,10 +1,25 @@
 import MorphingWaveToSphere from './components/final';
 
+// One particle state per section: each is fully formed when its
+// section reaches the top of the viewport (2 viewports of scroll in total)
+const SECTION_STAGES = [
+  { name: 'wave', shape: 'wave', at: 0 },
+  { name: 'sphere', shape: 'sphere', radius: 18, at: 0.5 },
+  {
+    name: 'torus',
+    shape: 'torus',
+    radius: 16,
+    tube: 6,
+    at: 1,
+    camera: { position: [0, 22, 52], lookAt: [0, 0, 0], up: [0, 1, 0] },
+  },
+];
+
 function App() {
   return (
     <div className="App">
       {/* Background particle effect */}
-      <MorphingWaveToSphere />
+      <MorphingWaveToSphere stages={SECTION_STAGES} scrollRange={2} />
       
       {/* Scrollable content - creates scroll height for the transition */}
       <div style={{ position: 'relative', zIndex: 1 }}>
@@ -16,4 +31,4 @@ function App() {
   );
 }
 
-export default App; 
\ No newline at end of file
+export default App;
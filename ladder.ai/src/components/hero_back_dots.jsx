@@ -1,92 +1,91 @@
 import React, { useEffect, useRef } from 'react';
 import * as THREE from 'three';
+import { usePreset } from '../hooks/usePreset';
+import { REDUCED_MOTION_TIME_SCALE, useReducedMotion } from '../hooks/useReducedMotion';
+import { WAVE_COUNT, resolveLook } from '../lib/look';
+import { createFieldGeometry, createParticleField, createParticleHost } from '../lib/particleField';
+import { createScrollDriver } from '../lib/scroll';
+import { createSpring, lerpFactorToResponse } from '../lib/spring';
+
+// The original per-frame 0.05 lerp at 60 fps, as a spring response time
+const SCROLL_RESPONSE = lerpFactorToResponse(0.05);
+
+const COLORS = ['#8B0000', '#FF4500', '#FFD700'];
+
+const CAMERA = {
+  position: [0, 30, 60],
+  lookAt: [0, 15, 0],
+  up: [0, -1, 0],
+};
 
-const ElegantDotsWave = () => {
+/**
+ * ElegantDotsWave - flowing wave of dots that folds into a sphere on scroll
+ *
+ * Follows prefers-reduced-motion (or the `reducedMotion` override): time
+ * slows to a crawl, drift stops and scroll jumps between wave and sphere.
+ *
+ * `preset` (or `?preset=`) takes the grid, the last stage's shape, the
+ * palette, the wave layers, point size, spin, camera poses, scroll range
+ * and scroll response from a scene preset (see src/presets/README.md).
+ */
+const ElegantDotsWave = ({ preset, reducedMotion }) => {
+  const reduceMotion = useReducedMotion(reducedMotion);
+  const reducedMotionRef = useRef(reduceMotion);
   const containerRef = useRef(null);
-  const sceneRef = useRef(null);
-  const rendererRef = useRef(null);
-  const materialRef = useRef(null);
-  const frameIdRef = useRef(null);
-  const scrollRef = useRef({ current: 0, target: 0 });
+  const { props: presetProps, loading: presetLoading, error: presetError } = usePreset(preset);
 
   useEffect(() => {
-    if (!containerRef.current) return;
-
-    // Scene setup
-    const scene = new THREE.Scene();
-    sceneRef.current = scene;
-
-    // Camera setup
-    const camera = new THREE.PerspectiveCamera(
-      60,
-      window.innerWidth / window.innerHeight,
-      1,
-      1000
-    );
-    camera.position.set(0, 30, 60);
-    camera.up.set(0, -1, 0);
-    camera.lookAt(0, 15, 0);
-
-    // Renderer setup
-    const renderer = new THREE.WebGLRenderer({
-      alpha: true,
-      antialias: true,
-      powerPreference: "high-performance"
-    });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    containerRef.current.appendChild(renderer.domElement);
-    rendererRef.current = renderer;
-
-    // Geometry - High density grid
-    const width = 240;
-    const height = 120;
-    const segmentsX = 240;
-    const segmentsY = 120;
-    const geometry = new THREE.PlaneGeometry(width, height, segmentsX, segmentsY);
-
-    // Calculate Sphere Positions
-    const count = geometry.attributes.position.count;
-    const spherePositions = new Float32Array(count * 3);
-    const sphereRadius = 40;
-
-    for (let i = 0; i < count; i++) {
-      // Get UV coordinates (approximate from index since PlaneGeometry is a grid)
-      // PlaneGeometry vertices are row by row
-      const ix = i % (segmentsX + 1);
-      const iy = Math.floor(i / (segmentsX + 1));
+    reducedMotionRef.current = reduceMotion;
+  }, [reduceMotion]);
 
-      const u = ix / segmentsX;
-      const v = iy / segmentsY;
-
-      // Map to sphere (Phi: 0 to PI, Theta: 0 to 2PI)
-      const phi = v * Math.PI;
-      const theta = u * Math.PI * 2;
-
-      // Spherical to Cartesian
-      const x = sphereRadius * Math.sin(phi) * Math.cos(theta);
-      const y = sphereRadius * Math.cos(phi);
-      const z = sphereRadius * Math.sin(phi) * Math.sin(theta);
-
-      spherePositions[i * 3] = x;
-      spherePositions[i * 3 + 1] = y;
-      spherePositions[i * 3 + 2] = z;
+  useEffect(() => {
+    if (presetError) {
+      console.error('ElegantDotsWave: ignoring the preset', presetError);
     }
+  }, [presetError]);
 
-    geometry.setAttribute('aSpherePosition', new THREE.BufferAttribute(spherePositions, 3));
+  useEffect(() => {
+    // A preset URL is fetched before anything is drawn
+    if (!containerRef.current || presetLoading) return;
+
+    const {
+      width = 240,
+      height = 120,
+      segmentsX = 240,
+      segmentsY = 120,
+      sphereRadius = 40,
+      sphereDistribution = 'uv',
+      stages,
+      colors = COLORS,
+      waveCamera = CAMERA,
+      sphereCamera = waveCamera,
+      scrollRange = 1.5,
+      scrollResponse = SCROLL_RESPONSE,
+      look,
+    } = presetProps;
+    const { spin, pointSize, ...waveLook } = resolveLook({ spin: 0.1, ...look });
+    // The wave folds into the timeline's last shape
+    const target = stages?.findLast((stage) => stage.shape !== 'wave')
+      ?? { shape: 'sphere', radius: sphereRadius, distribution: sphereDistribution };
 
     // Shader Material with enhanced wave motion
-    const material = new THREE.ShaderMaterial({
+    const field = createParticleField({
       uniforms: {
         uTime: { value: 0 },
         uScroll: { value: 0 },
-        uColor1: { value: new THREE.Color('#8B0000') },
-        uColor2: { value: new THREE.Color('#FF4500') },
-        uColor3: { value: new THREE.Color('#FFD700') },
+        uColor1: { value: new THREE.Color(colors[0]) },
+        uColor2: { value: new THREE.Color(colors[1]) },
+        uColor3: { value: new THREE.Color(colors[2]) },
+        uWaveFrequency: { value: Array.from({ length: WAVE_COUNT }, (_, i) => waveLook[`waveFrequency${i + 1}`]) },
+        uWaveAmplitude: { value: Array.from({ length: WAVE_COUNT }, (_, i) => waveLook[`waveAmplitude${i + 1}`]) },
+        uPointSize: { value: pointSize },
       },
       vertexShader: `
         uniform float uTime;
         uniform float uScroll;
+        uniform float uWaveFrequency[${WAVE_COUNT}];
+        uniform float uWaveAmplitude[${WAVE_COUNT}];
+        uniform float uPointSize;
         attribute vec3 aSpherePosition;
         varying float vElevation;
         varying float vDistance;
@@ -96,12 +95,13 @@ const ElegantDotsWave = () => {
           
           // --- WAVE LOGIC (Existing) ---
           // Multiple wave layers with different speeds and amplitudes
-          float wave1 = sin(pos.y * 0.02 + uTime * 1.5) * 8.0;
-          float wave2 = sin(pos.y * 0.04 - uTime * 1.2) * 6.0;
-          float wave3 = sin(pos.y * 0.08 + uTime * 2.0) * 4.0;
-          float wave4 = sin(pos.x * 0.03 - uTime * 1.0) * 7.0;
-          float wave5 = sin((pos.x + pos.y) * 0.025 + uTime * 0.8) * 5.0;
-          float wave6 = cos(pos.x * 0.035 - pos.y * 0.02 + uTime * 1.3) * 4.5;
+          float wave1 = sin(pos.y * uWaveFrequency[0] + uTime * 1.5) * uWaveAmplitude[0];
+          float wave2 = sin(pos.y * uWaveFrequency[1] - uTime * 1.2) * uWaveAmplitude[1];
+          float wave3 = sin(pos.y * uWaveFrequency[2] + uTime * 2.0) * uWaveAmplitude[2];
+          float wave4 = sin(pos.x * uWaveFrequency[3] - uTime * 1.0) * uWaveAmplitude[3];
+          float wave5 = sin((pos.x + pos.y) * uWaveFrequency[4] + uTime * 0.8) * uWaveAmplitude[4];
+          // The y term keeps its original ratio to the x frequency
+          float wave6 = cos((pos.x - pos.y * 0.5714) * uWaveFrequency[5] + uTime * 1.3) * uWaveAmplitude[5];
           float detail1 = sin(pos.x * 0.1 + pos.y * 0.08 + uTime * 2.5) * 2.0;
           float detail2 = cos(pos.x * 0.12 - pos.y * 0.1 - uTime * 3.0) * 1.5;
           
@@ -131,7 +131,7 @@ const ElegantDotsWave = () => {
           // Dynamic particle size
           // In sphere mode, maybe uniform size is better, or keep the depth effect
           float sizeMultiplier = 1.0 + (vElevation / 30.0);
-          gl_PointSize = 4.0 * sizeMultiplier * (30.0 / -mvPosition.z);
+          gl_PointSize = uPointSize * sizeMultiplier * (30.0 / -mvPosition.z);
           
           vDistance = -mvPosition.z;
         }
@@ -168,89 +168,107 @@ const ElegantDotsWave = () => {
           gl_FragColor = vec4(color, (1.0 - fog * 0.5) * alpha);
         }
       `,
-      transparent: true,
-      blending: THREE.AdditiveBlending,
-      depthWrite: false,
     });
-
-    materialRef.current = material;
-
-    const particles = new THREE.Points(geometry, material);
+    const { material, points: particles } = field;
     particles.rotation.x = -Math.PI / 2.2;
-    scene.add(particles);
-
-    // Animation loop
-    const clock = new THREE.Clock();
 
-    const animate = () => {
-      frameIdRef.current = requestAnimationFrame(animate);
-
-      const elapsedTime = clock.getElapsedTime();
-
-      // Smooth scroll update
-      scrollRef.current.current += (scrollRef.current.target - scrollRef.current.current) * 0.05;
-      material.uniforms.uScroll.value = scrollRef.current.current;
-
-      // Faster time progression for more visible motion
-      material.uniforms.uTime.value = elapsedTime * 0.8;
-
-      // Enhanced mesh transformations for visible global motion
-      // We dampen these global movements as we transition to sphere to keep it centered
-      const damp = 1.0 - scrollRef.current.current;
+    // Geometry - High density grid, with the shape it folds into
+    let cancelled = false;
+    createFieldGeometry({
+      width,
+      height,
+      segmentsX,
+      segmentsY,
+      shapes: [{ ...target, position: 'aSpherePosition' }],
+    }).then((geometry) => {
+      if (cancelled) {
+        geometry.dispose();
+        return;
+      }
+      field.setGeometry(geometry);
+    }).catch((error) => {
+      // The canvas keeps its background; nothing else depends on the dots
+      if (!cancelled) console.error('ElegantDotsWave: failed to build the particles', error);
+    });
 
-      // Horizontal drift (left-right)
-      particles.position.x = Math.sin(elapsedTime * 0.4) * 12 * damp;
+    let elapsedTime = 0;
+    const scrollSpring = createSpring();
+    const wavePose = {
+      position: new THREE.Vector3().fromArray(waveCamera.position),
+      lookAt: new THREE.Vector3().fromArray(waveCamera.lookAt),
+      up: new THREE.Vector3().fromArray(waveCamera.up),
+    };
+    const spherePose = {
+      position: new THREE.Vector3().fromArray(sphereCamera.position),
+      lookAt: new THREE.Vector3().fromArray(sphereCamera.lookAt),
+      up: new THREE.Vector3().fromArray(sphereCamera.up),
+    };
+    const lookAtTarget = new THREE.Vector3();
+
+    const host = createParticleHost({
+      container: containerRef.current,
+      // Full transition over 1.5 viewports by default
+      scrollDriver: createScrollDriver({ range: scrollRange }),
+      onFrame: ({ delta, scroll }) => {
+        const reduced = reducedMotionRef.current;
+        elapsedTime += delta * (reduced ? REDUCED_MOTION_TIME_SCALE : 1);
+
+        if (reduced) {
+          // Jump to whichever state is closer instead of morphing
+          scrollSpring.jump(Math.round(scroll));
+        } else {
+          // Smooth scroll update, the same at any frame rate
+          scrollSpring.update(scroll, delta, scrollResponse);
+        }
+        const morph = scrollSpring.value;
+        material.uniforms.uScroll.value = morph;
 
-      // Vertical breathing (up-down)
-      particles.position.y = Math.sin(elapsedTime * 0.5) * 6 * damp;
+        // Faster time progression for more visible motion
+        material.uniforms.uTime.value = elapsedTime * 0.8;
 
-      // Forward-backward motion
-      particles.position.z = Math.sin(elapsedTime * 0.35) * 5 * damp;
+        // Enhanced mesh transformations for visible global motion
+        // We dampen these global movements as we transition to sphere to keep it centered
+        const damp = reduced ? 0 : 1.0 - morph;
 
-      // Rotation waves for organic feel
-      particles.rotation.z = Math.sin(elapsedTime * 0.3) * 0.08 * damp;
-      particles.rotation.y = (Math.cos(elapsedTime * 0.25) * 0.05 * damp) + (scrollRef.current.current * elapsedTime * 0.1); // Add spin in sphere mode
+        // Horizontal drift (left-right)
+        particles.position.x = Math.sin(elapsedTime * 0.4) * 12 * damp;
 
-      // Gentle camera movement for dynamic perspective
-      camera.position.x = Math.sin(elapsedTime * 0.2) * 3;
-      camera.position.y = 30 + Math.cos(elapsedTime * 0.15) * 2;
-      camera.lookAt(0, 15, 0);
+        // Vertical breathing (up-down)
+        particles.position.y = Math.sin(elapsedTime * 0.5) * 6 * damp;
 
-      renderer.render(scene, camera);
-    };
+        // Forward-backward motion
+        particles.position.z = Math.sin(elapsedTime * 0.35) * 5 * damp;
 
-    animate();
+        // Rotation waves for organic feel
+        particles.rotation.z = Math.sin(elapsedTime * 0.3) * 0.08 * damp;
+        particles.rotation.y = (Math.cos(elapsedTime * 0.25) * 0.05 * damp) + (morph * elapsedTime * spin); // Add spin in sphere mode
 
-    // Handle resize
-    const handleResize = () => {
-      camera.aspect = window.innerWidth / window.innerHeight;
-      camera.updateProjectionMatrix();
-      renderer.setSize(window.innerWidth, window.innerHeight);
-      renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    };
+        // Gentle camera movement for dynamic perspective, around the pose
+        // between the wave and sphere cameras
+        const cameraDrift = reduced ? 0 : 1;
+        camera.position.lerpVectors(wavePose.position, spherePose.position, morph);
+        camera.position.x += Math.sin(elapsedTime * 0.2) * 3 * cameraDrift;
+        camera.position.y += Math.cos(elapsedTime * 0.15) * 2 * cameraDrift;
+        camera.up.lerpVectors(wavePose.up, spherePose.up, morph);
+        camera.lookAt(lookAtTarget.lerpVectors(wavePose.lookAt, spherePose.lookAt, morph));
+      },
+    });
 
-    // Handle Scroll
-    const handleScroll = () => {
-      const maxScroll = window.innerHeight * 1.5; // Full transition over 1.5 viewports
-      const scrollProgress = Math.min(window.scrollY / maxScroll, 1.0);
-      scrollRef.current.target = scrollProgress;
-    };
+    // Camera setup
+    const { camera } = host;
+    camera.position.copy(wavePose.position);
+    camera.up.copy(wavePose.up);
+    camera.lookAt(wavePose.lookAt);
 
-    window.addEventListener('resize', handleResize);
-    window.addEventListener('scroll', handleScroll);
+    host.scene.add(particles);
+    host.start();
 
     return () => {
-      window.removeEventListener('resize', handleResize);
-      window.removeEventListener('scroll', handleScroll);
-      cancelAnimationFrame(frameIdRef.current);
-      if (containerRef.current && renderer.domElement) {
-        containerRef.current.removeChild(renderer.domElement);
-      }
-      geometry.dispose();
-      material.dispose();
-      renderer.dispose();
+      cancelled = true;
+      host.dispose();
+      field.dispose();
     };
-  }, []);
+  }, [presetLoading, presetProps]);
 
   return (
     <div
@@ -1,84 +1,97 @@
 import React, { useEffect, useRef } from 'react';
 import * as THREE from 'three';
+import { usePreset } from '../hooks/usePreset';
+import { blendCameraPose } from '../lib/cameraPose';
+import { WAVE_COUNT, resolveLook } from '../lib/look';
+import { createFieldGeometry, createParticleField, createParticleHost } from '../lib/particleField';
+import { createScrollDriver } from '../lib/scroll';
+import { sphereProjectionShape, sphereShape } from '../lib/shapes';
+import { createSpring } from '../lib/spring';
+
+const COLORS = ['#8B0000', '#FF4500', '#FFD700'];
+
+// The camera rises from the wave and settles level with the sphere
+const WAVE_CAMERA = { position: [0, 30, 80], lookAt: [0, 0, 0], up: [0, 1, 0] };
+const SPHERE_CAMERA = { position: [0, 0, 80], lookAt: [0, 0, 0], up: [0, 1, 0] };
+
+// THREE.SphereGeometry runs its columns the other way round the Y axis than
+// the shape generators; flipping X keeps this sphere as it always looked
+const mirrorX = (generator) => (grid, options) => {
+    const target = generator(grid, options);
+    for (let i = 0; i < target.positions.length; i += 3) {
+        target.positions[i] = -target.positions[i];
+        target.normals[i] = -target.normals[i];
+    }
+    return target;
+};
 
-const ElegantDotsWave = () => {
+/**
+ * ElegantDotsWave - a flat disc of dots that folds up into a sphere as the
+ * whole page scrolls
+ *
+ * `preset` (or `?preset=`) takes the grid density, the last stage's shape,
+ * the palette, the wave layers, point size, camera poses, scroll range and
+ * scroll response from a scene preset (see src/presets/README.md).
+ */
+const ElegantDotsWave = ({ preset }) => {
     const containerRef = useRef(null);
-    const scrollProgressRef = useRef(0);
+    const { props: presetProps, loading: presetLoading, error: presetError } = usePreset(preset);
 
     useEffect(() => {
-        if (!containerRef.current) return;
-
-        // Scene setup
-        const scene = new THREE.Scene();
-
-        // Camera setup
-        const camera = new THREE.PerspectiveCamera(
-            60,
-            window.innerWidth / window.innerHeight,
-            1,
-            1000
-        );
-        camera.position.set(0, 0, 80);
-        camera.lookAt(0, 0, 0);
-
-        // Renderer setup
-        const renderer = new THREE.WebGLRenderer({
-            alpha: true,
-            antialias: true,
-            powerPreference: "high-performance"
-        });
-        renderer.setSize(window.innerWidth, window.innerHeight);
-        renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        containerRef.current.appendChild(renderer.domElement);
-
-        // Create SPHERE geometry instead of plane
-        const sphereRadius = 35;
-        const geometry = new THREE.SphereGeometry(sphereRadius, 120, 120);
-
-        // Store original sphere positions and create flat wave positions
-        const positionAttribute = geometry.attributes.position;
-        const count = positionAttribute.count;
-
-        const originalPositions = new Float32Array(count * 3);
-        const wavePositions = new Float32Array(count * 3);
-
-        // Store original sphere positions
-        for (let i = 0; i < count; i++) {
-            originalPositions[i * 3] = positionAttribute.getX(i);
-            originalPositions[i * 3 + 1] = positionAttribute.getY(i);
-            originalPositions[i * 3 + 2] = positionAttribute.getZ(i);
-        }
-
-        // Create flat wave positions
-        for (let i = 0; i < count; i++) {
-            const x = originalPositions[i * 3];
-            const y = originalPositions[i * 3 + 1];
-            const z = originalPositions[i * 3 + 2];
-
-            // Project sphere to flat plane
-            const length = Math.sqrt(x * x + y * y + z * z);
-            const scale = 100 / sphereRadius;
-
-            wavePositions[i * 3] = (x / length) * sphereRadius * scale;
-            wavePositions[i * 3 + 1] = (y / length) * sphereRadius * scale;
-            wavePositions[i * 3 + 2] = 0;
+        if (presetError) {
+            console.error('ElegantDotsWave: ignoring the preset', presetError);
         }
+    }, [presetError]);
 
-        geometry.setAttribute('originalPosition', new THREE.BufferAttribute(originalPositions, 3));
-        geometry.setAttribute('wavePosition', new THREE.BufferAttribute(wavePositions, 3));
+    useEffect(() => {
+        // A preset URL is fetched before anything is drawn
+        if (!containerRef.current || presetLoading) return;
+
+        const {
+            segmentsX = 120,
+            segmentsY = 120,
+            sphereRadius = 35,
+            sphereDistribution = 'uv',
+            stages,
+            colors = COLORS,
+            waveCamera = WAVE_CAMERA,
+            sphereCamera = SPHERE_CAMERA,
+            scrollRange = null,
+            scrollResponse = 0,
+            look,
+        } = presetProps;
+        const { pointSize, ...waveLook } = resolveLook({ pointSize: 3.5, ...look });
+        // A preset's last shape, or the sphere as THREE.SphereGeometry laid
+        // it out; either way the disc is the sphere flattened
+        const target = stages?.findLast((stage) => stage.shape !== 'wave');
+        const shapes = target
+            ? [
+                { ...target, position: 'originalPosition' },
+                { shape: 'sphereProjection', size: 100, distribution: target.distribution, position: 'wavePosition' },
+            ]
+            : [
+                { shape: mirrorX(sphereShape), radius: sphereRadius, distribution: sphereDistribution, position: 'originalPosition' },
+                { shape: mirrorX(sphereProjectionShape), size: 100, distribution: sphereDistribution, position: 'wavePosition' },
+            ];
 
         // Shader Material
-        const material = new THREE.ShaderMaterial({
+        const field = createParticleField({
             uniforms: {
                 uTime: { value: 0 },
                 uMorphProgress: { value: 0 },
-                uColor1: { value: new THREE.Color('#8B0000') },
-                uColor2: { value: new THREE.Color('#FF4500') },
-                uColor3: { value: new THREE.Color('#FFD700') },
+                uColor1: { value: new THREE.Color(colors[0]) },
+                uColor2: { value: new THREE.Color(colors[1]) },
+                uColor3: { value: new THREE.Color(colors[2]) },
+                uWaveFrequency: { value: Array.from({ length: WAVE_COUNT }, (_, i) => waveLook[`waveFrequency${i + 1}`]) },
+                uWaveAmplitude: { value: Array.from({ length: WAVE_COUNT }, (_, i) => waveLook[`waveAmplitude${i + 1}`]) },
+                uPointSize: { value: pointSize },
             },
             vertexShader: `
         uniform float uTime;
         uniform float uMorphProgress;
+        uniform float uWaveFrequency[${WAVE_COUNT}];
+        uniform float uWaveAmplitude[${WAVE_COUNT}];
+        uniform float uPointSize;
         attribute vec3 originalPosition;
         attribute vec3 wavePosition;
         varying float vElevation;
@@ -90,12 +103,13 @@ const ElegantDotsWave = () => {
           
           // Wave animations (applied when morphProgress is 0, i.e., at top)
           float waveIntensity = 1.0 - uMorphProgress;
-          float wave1 = sin(pos.y * 0.02 + uTime * 1.5) * 8.0 * waveIntensity;
-          float wave2 = sin(pos.y * 0.04 - uTime * 1.2) * 6.0 * waveIntensity;
-          float wave3 = sin(pos.y * 0.08 + uTime * 2.0) * 4.0 * waveIntensity;
-          float wave4 = sin(pos.x * 0.03 - uTime * 1.0) * 7.0 * waveIntensity;
-          float wave5 = sin((pos.x + pos.y) * 0.025 + uTime * 0.8) * 5.0 * waveIntensity;
-          float wave6 = cos(pos.x * 0.035 - pos.y * 0.02 + uTime * 1.3) * 4.5 * waveIntensity;
+          float wave1 = sin(pos.y * uWaveFrequency[0] + uTime * 1.5) * uWaveAmplitude[0] * waveIntensity;
+          float wave2 = sin(pos.y * uWaveFrequency[1] - uTime * 1.2) * uWaveAmplitude[1] * waveIntensity;
+          float wave3 = sin(pos.y * uWaveFrequency[2] + uTime * 2.0) * uWaveAmplitude[2] * waveIntensity;
+          float wave4 = sin(pos.x * uWaveFrequency[3] - uTime * 1.0) * uWaveAmplitude[3] * waveIntensity;
+          float wave5 = sin((pos.x + pos.y) * uWaveFrequency[4] + uTime * 0.8) * uWaveAmplitude[4] * waveIntensity;
+          // The y term keeps its original ratio to the x frequency
+          float wave6 = cos((pos.x - pos.y * 0.5714) * uWaveFrequency[5] + uTime * 1.3) * uWaveAmplitude[5] * waveIntensity;
           float detail1 = sin(pos.x * 0.1 + pos.y * 0.08 + uTime * 2.5) * 2.0 * waveIntensity;
           float detail2 = cos(pos.x * 0.12 - pos.y * 0.1 - uTime * 3.0) * 1.5 * waveIntensity;
           
@@ -122,7 +136,7 @@ const ElegantDotsWave = () => {
           
           // Particle size
           float baseSizeMultiplier = 1.0 + (abs(vElevation) / 30.0);
-          gl_PointSize = 3.5 * baseSizeMultiplier * (50.0 / -mvPosition.z);
+          gl_PointSize = uPointSize * baseSizeMultiplier * (50.0 / -mvPosition.z);
           
           vDistance = -mvPosition.z;
         }
@@ -163,89 +177,81 @@ const ElegantDotsWave = () => {
           gl_FragColor = vec4(color, (1.0 - fog * 0.3) * alpha);
         }
       `,
-            transparent: true,
-            blending: THREE.AdditiveBlending,
-            depthWrite: false,
         });
-
-        const particles = new THREE.Points(geometry, material);
-        scene.add(particles);
-
-        // Animation loop
-        const clock = new THREE.Clock();
-        let animationId;
-
-        const animate = () => {
-            animationId = requestAnimationFrame(animate);
-
-            const elapsedTime = clock.getElapsedTime();
-
-            material.uniforms.uTime.value = elapsedTime * 0.8;
-            material.uniforms.uMorphProgress.value = scrollProgressRef.current;
-
-            // Rotation based on scroll
-            if (scrollProgressRef.current < 0.5) {
-                // Wave state - keep it tilted
-                particles.rotation.x = -Math.PI / 2.2;
-                particles.rotation.y = elapsedTime * 0.05;
-                particles.rotation.z = Math.sin(elapsedTime * 0.3) * 0.08;
-
-                // Wave movements
-                particles.position.x = Math.sin(elapsedTime * 0.4) * 12 * (1.0 - scrollProgressRef.current * 2);
-                particles.position.y = Math.sin(elapsedTime * 0.5) * 6 * (1.0 - scrollProgressRef.current * 2);
-            } else {
-                // Sphere state - rotate freely
-                const sphereProgress = (scrollProgressRef.current - 0.5) * 2;
-                particles.rotation.x = -Math.PI / 2.2 + (Math.PI / 2.2) * sphereProgress;
-                particles.rotation.y = elapsedTime * 0.3;
-                particles.rotation.z = elapsedTime * 0.2;
-
-                particles.position.x = 0;
-                particles.position.y = 0;
+        const { material, points: particles } = field;
+
+        // SPHERE positions, and the flat wave they are projected onto
+        let cancelled = false;
+        createFieldGeometry({
+            segmentsX,
+            segmentsY,
+            shapes,
+        }).then((geometry) => {
+            if (cancelled) {
+                geometry.dispose();
+                return;
             }
+            field.setGeometry(geometry);
+        }).catch((error) => {
+            // The canvas keeps its background; nothing else depends on the dots
+            if (!cancelled) console.error('ElegantDotsWave: failed to build the particles', error);
+        });
 
-            // Camera adjustment
-            const cameraOffset = (1.0 - scrollProgressRef.current) * 30;
-            camera.position.y = cameraOffset;
-            camera.lookAt(0, 0, 0);
-
-            renderer.render(scene, camera);
-        };
-
-        animate();
-
-        // Scroll handler
-        const handleScroll = () => {
-            const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
-            const currentScroll = window.scrollY;
-            const progress = Math.min(currentScroll / (maxScroll || 1), 1);
-            scrollProgressRef.current = progress;
-        };
-
-        window.addEventListener('scroll', handleScroll);
+        let elapsedTime = 0;
+        const scrollSpring = createSpring();
+
+        const host = createParticleHost({
+            container: containerRef.current,
+            // The whole document scrolls through the morph by default
+            scrollDriver: createScrollDriver({ range: scrollRange }),
+            onFrame: ({ delta, scroll: scrollTarget }) => {
+                elapsedTime += delta;
+                // Follows the scroll directly unless a preset sets a response
+                scrollSpring.update(scrollTarget, delta, scrollResponse);
+                const scroll = scrollSpring.value;
+
+                material.uniforms.uTime.value = elapsedTime * 0.8;
+                material.uniforms.uMorphProgress.value = scroll;
+
+                // Rotation based on scroll
+                if (scroll < 0.5) {
+                    // Wave state - keep it tilted
+                    particles.rotation.x = -Math.PI / 2.2;
+                    particles.rotation.y = elapsedTime * 0.05;
+                    particles.rotation.z = Math.sin(elapsedTime * 0.3) * 0.08;
+
+                    // Wave movements
+                    particles.position.x = Math.sin(elapsedTime * 0.4) * 12 * (1.0 - scroll * 2);
+                    particles.position.y = Math.sin(elapsedTime * 0.5) * 6 * (1.0 - scroll * 2);
+                } else {
+                    // Sphere state - rotate freely
+                    const sphereProgress = (scroll - 0.5) * 2;
+                    particles.rotation.x = -Math.PI / 2.2 + (Math.PI / 2.2) * sphereProgress;
+                    particles.rotation.y = elapsedTime * 0.3;
+                    particles.rotation.z = elapsedTime * 0.2;
+
+                    particles.position.x = 0;
+                    particles.position.y = 0;
+                }
+
+                // Camera adjustment
+                blendCameraPose(camera, waveCamera, sphereCamera, scroll);
+            },
+        });
 
-        // Handle resize
-        const handleResize = () => {
-            camera.aspect = window.innerWidth / window.innerHeight;
-            camera.updateProjectionMatrix();
-            renderer.setSize(window.innerWidth, window.innerHeight);
-            renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        };
+        // Camera setup
+        const { camera } = host;
+        blendCameraPose(camera, waveCamera, sphereCamera, 0);
 
-        window.addEventListener('resize', handleResize);
+        host.scene.add(particles);
+        host.start();
 
         return () => {
-            window.removeEventListener('scroll', handleScroll);
-            window.removeEventListener('resize', handleResize);
-            cancelAnimationFrame(animationId);
-            if (containerRef.current && renderer.domElement) {
-                containerRef.current.removeChild(renderer.domElement);
-            }
-            geometry.dispose();
-            material.dispose();
-            renderer.dispose();
+            cancelled = true;
+            host.dispose();
+            field.dispose();
         };
-    }, []);
+    }, [presetLoading, presetProps]);
 
     return (
         <>
@@ -0,0 +1,124 @@
+import React, { useEffect, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { useMorphField } from '../hooks/useMorphField';
+import { usePreset } from '../hooks/usePreset';
+import { useScrollDriver } from '../hooks/useScrollDriver';
+
+// The field itself, once any preset is resolved
+const MorphingPointsField = ({ controlCamera = true, onError, scroll, scrollRange, progress, ...fieldProps }) => {
+  const groupRef = useRef(null);
+  const scrollRef = useRef(0);
+  const onErrorRef = useRef(onError);
+  const scrollDriver = useScrollDriver({ scroll, scrollRange, progress });
+
+  const { fieldRef } = useMorphField({
+    ...fieldProps,
+    controlCamera,
+    onFailure: (reason, error) => {
+      if (onErrorRef.current) {
+        onErrorRef.current(error);
+      } else {
+        console.error('MorphingPoints: failed to build the particle geometry', error);
+      }
+    },
+  });
+
+  useEffect(() => {
+    onErrorRef.current = onError;
+  }, [onError]);
+
+  useEffect(() => {
+    const group = groupRef.current;
+    const { points } = fieldRef.current;
+    group.add(points);
+    return () => {
+      group.remove(points);
+    };
+  }, [fieldRef]);
+
+  // Scroll progress, re-read at once when the driver changes
+  useEffect(() => {
+    const handleScroll = () => {
+      scrollRef.current = scrollDriver.read();
+    };
+
+    handleScroll();
+    return scrollDriver.subscribe(handleScroll);
+  }, [scrollDriver]);
+
+  useFrame((state, delta) => {
+    fieldRef.current?.update({
+      delta,
+      scroll: scrollRef.current,
+      camera: state.camera,
+      renderer: state.gl,
+    });
+  });
+
+  return <group ref={groupRef} />;
+};
+
+/**
+ * MorphingPoints - the wave -> sphere morph as a React Three Fiber object.
+ *
+ * Renders into whatever `<Canvas>` it is placed in, next to any other R3F
+ * objects, drei helpers or controls, and updates through `useFrame`. Takes
+ * the MorphingWaveToSphere props (see final.jsx) that describe the field;
+ * the canvas owns the renderer, so pixel ratio, adaptive quality, bloom,
+ * the 2D fallback and the theme's background gradient are left to it.
+ *
+ * Like the standalone component it drives the canvas camera through the
+ * stage poses; pass `controlCamera={false}` when controls should own the
+ * camera instead. A `ref` gets the same playback controls as
+ * MorphingWaveToSphere's. Geometry that fails to build is reported through
+ * `onError`, or logged without one.
+ *
+ * The morph follows the page scroll, or whatever `scroll` and `progress`
+ * select, as on MorphingWaveToSphere: handy when the canvas sits inside
+ * a scroll container or further down the page.
+ *
+ * Inside a ParticleProvider it publishes its eased progress for
+ * `useMorphProgress()` / `useMorphStage()`, also like the standalone one.
+ *
+ * `preset` works as on MorphingWaveToSphere: a scene preset object,
+ * library name or URL, overridden by the props set directly. An invalid
+ * preset is reported like a geometry error and ignored.
+ *
+ * @param {Object} props
+ * @param {import('../lib/preset').ScenePreset | string} [props.preset]
+ * @param {boolean} [props.controlCamera=true]
+ * @param {(error: Error) => void} [props.onError]
+ * @param {import('react').Ref<import('../hooks/useMorphField').MorphControls>} [props.ref] - play / pause / seek / setTime / morphTo / followScroll
+ */
+const MorphingPoints = ({ preset, look, onError, ...props }) => {
+  const { props: presetProps, loading, error } = usePreset(preset);
+  const { look: presetLook, ...presetSceneProps } = presetProps;
+  const onErrorRef = useRef(onError);
+
+  useEffect(() => {
+    onErrorRef.current = onError;
+  }, [onError]);
+
+  useEffect(() => {
+    if (!error) return;
+    if (onErrorRef.current) {
+      onErrorRef.current(error);
+    } else {
+      console.error('MorphingPoints: ignoring the preset', error);
+    }
+  }, [error]);
+
+  // A preset URL is fetched before anything is added to the scene
+  if (loading) return null;
+
+  return (
+    <MorphingPointsField
+      {...presetSceneProps}
+      {...props}
+      look={{ ...presetLook, ...look }}
+      onError={onError}
+    />
+  );
+};
+
+export default MorphingPoints;
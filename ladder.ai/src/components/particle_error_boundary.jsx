@@ -0,0 +1,33 @@
+import React from 'react';
+
+/**
+ * ParticleErrorBoundary - keeps a crashing particle background from
+ * unmounting the rest of the page.
+ *
+ * Renders `fallback` once a child throws (during render or in an effect,
+ * e.g. `new THREE.WebGLRenderer()` without WebGL) and reports the error
+ * through `onError`.
+ */
+class ParticleErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { hasError: true };
+  }
+
+  componentDidCatch(error) {
+    this.props.onError?.(error);
+  }
+
+  render() {
+    if (this.state.hasError) {
+      return this.props.fallback ?? null;
+    }
+    return this.props.children;
+  }
+}
+
+export default ParticleErrorBoundary;
@@ -0,0 +1,260 @@
+import React, { useContext, useEffect, useMemo, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { MorphProgressContext } from '../hooks/useMorphProgress';
+import { useScrollDriver } from '../hooks/useScrollDriver';
+import { blendCameraPose, getStagePose } from '../lib/cameraPose';
+import { createRampData, isRampImage, loadRamp, paletteRamp, sampleRampData } from '../lib/gradientRamp';
+import { DEFAULT_SPHERE_CAMERA, DEFAULT_WAVE_CAMERA, createDefaultStages } from '../lib/morphDefaults';
+import { DEFAULT_THEME, THEMES, getBackgroundStyle, getTheme } from '../lib/themes';
+import { getStageSegment, getStageStops } from '../lib/timeline';
+
+// Coarse grid: enough dots to read as the wave / sphere, cheap to draw on the CPU
+const FALLBACK_SEGMENTS_X = 90;
+const FALLBACK_SEGMENTS_Y = 45;
+const SHEET_TILT = -Math.PI / 2.2;
+
+// The shader's wave layers, frozen at uTime = 0
+const waveElevation = (x, y) => (
+  Math.sin(y * 0.02) * 8.0
+  + Math.sin(y * 0.04) * 6.0
+  + Math.sin(y * 0.08) * 4.0
+  + Math.sin(x * 0.03) * 7.0
+  + Math.sin((x + y) * 0.025) * 5.0
+  + Math.cos(x * 0.035 - y * 0.02) * 4.5
+  + Math.sin(x * 0.1 + y * 0.08) * 1.5
+);
+
+// Wave sheet (tilted like in the shader) and unit sphere for the coarse grid
+const createFallbackPoints = (width, height) => {
+  const count = (FALLBACK_SEGMENTS_X + 1) * (FALLBACK_SEGMENTS_Y + 1);
+  const wave = new Float32Array(count * 3);
+  const elevation = new Float32Array(count);
+  const sphere = new Float32Array(count * 3);
+  const cos = Math.cos(SHEET_TILT);
+  const sin = Math.sin(SHEET_TILT);
+
+  for (let i = 0; i < count; i++) {
+    const ix = i % (FALLBACK_SEGMENTS_X + 1);
+    const iy = Math.floor(i / (FALLBACK_SEGMENTS_X + 1));
+    const u = ix / FALLBACK_SEGMENTS_X;
+    const v = iy / FALLBACK_SEGMENTS_Y;
+
+    const x = (u - 0.5) * width;
+    const y = (0.5 - v) * height;
+    const z = waveElevation(x, y);
+
+    wave[i * 3] = x;
+    wave[i * 3 + 1] = cos * y + sin * z;
+    wave[i * 3 + 2] = -sin * y + cos * z;
+    elevation[i] = z;
+
+    const phi = v * Math.PI;
+    const theta = u * Math.PI * 2;
+    sphere[i * 3] = Math.sin(phi) * Math.cos(theta);
+    sphere[i * 3 + 1] = Math.cos(phi);
+    sphere[i * 3 + 2] = Math.sin(phi) * Math.sin(theta);
+  }
+
+  return { count, wave, elevation, sphere };
+};
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+// Baked ramp data; image ramps are null until loaded. Stops that cannot be
+// read are logged and replaced by `fallback`, so drawing never throws
+const useRampData = (ramp, fallback) => {
+  const rampKey = JSON.stringify(ramp);
+  const fallbackKey = JSON.stringify(fallback);
+  const stopsData = useMemo(() => {
+    const parsed = JSON.parse(rampKey);
+    if (isRampImage(parsed)) return null;
+    try {
+      return createRampData(parsed);
+    } catch (error) {
+      console.error('ParticleFallback: using the default colour ramp', error);
+      return createRampData(JSON.parse(fallbackKey));
+    }
+  }, [rampKey, fallbackKey]);
+  const [image, setImage] = useState({ key: null, data: null });
+
+  useEffect(() => {
+    const parsed = JSON.parse(rampKey);
+    if (!isRampImage(parsed)) return;
+
+    let cancelled = false;
+    loadRamp(parsed).then((data) => {
+      if (!cancelled) setImage({ key: rampKey, data });
+    }).catch((error) => {
+      console.error('ParticleFallback: failed to load the colour ramp', error);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [rampKey]);
+
+  return stopsData ?? (image.key === rampKey ? image.data : null);
+};
+
+/**
+ * ParticleFallback - 2D canvas stand-in for the WebGL particle field.
+ *
+ * Draws a static, coarser version of the same timeline: the wave sheet
+ * for wave stages, a sphere of the stage's radius for every other shape,
+ * morphing between them with the same scroll progress and camera poses.
+ * Accepts the MorphingWaveToSphere props; only redraws on scroll and resize.
+ * Theme changes apply at once, without the WebGL version's transition.
+ */
+const ParticleFallback = ({
+  width = 240,
+  height = 120,
+  sphereRadius = 18,
+  theme = DEFAULT_THEME,
+  colors,
+  waveCamera = DEFAULT_WAVE_CAMERA,
+  sphereCamera = DEFAULT_SPHERE_CAMERA,
+  scroll,
+  scrollRange,
+  progress,
+  stages,
+}) => {
+  const canvasRef = useRef(null);
+  const scrollDriver = useScrollDriver({ scroll, scrollRange, progress });
+  const progressStore = useContext(MorphProgressContext);
+  const points = useMemo(() => createFallbackPoints(width, height), [width, height]);
+  const defaultStages = useMemo(() => createDefaultStages(sphereRadius), [sphereRadius]);
+  const timelineStages = stages ?? defaultStages;
+  const themeKey = JSON.stringify(theme);
+  const resolvedTheme = useMemo(() => getTheme(JSON.parse(themeKey)), [themeKey]);
+  const waveRamp = useRampData(colors ? paletteRamp(colors) : resolvedTheme.wave, THEMES[DEFAULT_THEME].wave);
+  const surfaceRamp = useRampData(resolvedTheme.surface, THEMES[DEFAULT_THEME].surface);
+  const additive = resolvedTheme.blending === 'additive';
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !waveRamp || !surfaceRamp) return;
+
+    const ctx = canvas.getContext('2d');
+    const camera = new THREE.PerspectiveCamera(60, 1, 1, 1000);
+    const stops = getStageStops(timelineStages);
+    const point = new THREE.Vector3();
+    const waveColor = new THREE.Color();
+    const sphereColor = new THREE.Color();
+    let frameId = null;
+
+    const stagePoint = (stage, i, target) => {
+      if (stage.shape === 'wave') {
+        return target.fromArray(points.wave, i * 3);
+      }
+      return target.fromArray(points.sphere, i * 3).multiplyScalar(stage.radius ?? sphereRadius);
+    };
+    const fromPoint = new THREE.Vector3();
+    const toPoint = new THREE.Vector3();
+
+    const draw = () => {
+      frameId = null;
+
+      const dpr = Math.min(window.devicePixelRatio, 2);
+      const viewWidth = window.innerWidth;
+      const viewHeight = window.innerHeight;
+      canvas.width = viewWidth * dpr;
+      canvas.height = viewHeight * dpr;
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, viewWidth, viewHeight);
+      // Light themes paint the dots over each other instead of adding them up
+      ctx.globalCompositeOperation = additive ? 'lighter' : 'source-over';
+
+      const scrollProgress = scrollDriver.read();
+      progressStore?.publish(scrollProgress, 0, timelineStages, stops);
+      const segment = getStageSegment(stops, scrollProgress);
+      const fromStage = timelineStages[segment.from];
+      const toStage = timelineStages[segment.to];
+      const fromWave = fromStage.shape === 'wave';
+      const toWave = toStage.shape === 'wave';
+      const morph = smoothstep(segment.progress);
+      const surface = THREE.MathUtils.lerp(fromWave ? 0 : 1, toWave ? 0 : 1, morph);
+
+      camera.aspect = viewWidth / viewHeight;
+      camera.updateProjectionMatrix();
+      blendCameraPose(
+        camera,
+        getStagePose(fromStage, fromWave, { waveCamera, sphereCamera }),
+        getStagePose(toStage, toWave, { waveCamera, sphereCamera }),
+        segment.progress
+      );
+      camera.updateMatrixWorld();
+
+      for (let i = 0; i < points.count; i++) {
+        stagePoint(fromStage, i, fromPoint);
+        stagePoint(toStage, i, toPoint);
+        point.lerpVectors(fromPoint, toPoint, morph);
+
+        const distance = point.distanceTo(camera.position);
+        point.project(camera);
+        if (point.z > 1 || Math.abs(point.x) > 1.1 || Math.abs(point.y) > 1.1) continue;
+
+        // Wave colours from elevation, like the fragment shader
+        const mixStrength = THREE.MathUtils.clamp((points.elevation[i] + 25) / 50, 0, 1);
+        sampleRampData(waveRamp, mixStrength, waveColor);
+
+        // Sphere colours shaded from top to bottom over the lower part of the ramp
+        sampleRampData(surfaceRamp, (0.5 + 0.5 * points.sphere[i * 3 + 1]) * 0.6, sphereColor);
+        waveColor.lerp(sphereColor, surface);
+
+        const fog = THREE.MathUtils.smoothstep(distance, 20, 100);
+        ctx.globalAlpha = 0.85 * (1 - fog * 0.5);
+        ctx.fillStyle = `#${waveColor.getHexString()}`;
+        ctx.beginPath();
+        ctx.arc(
+          (point.x * 0.5 + 0.5) * viewWidth,
+          (-point.y * 0.5 + 0.5) * viewHeight,
+          Math.max(0.6, 90 / distance),
+          0,
+          Math.PI * 2
+        );
+        ctx.fill();
+      }
+    };
+
+    const requestDraw = () => {
+      if (frameId === null) frameId = requestAnimationFrame(draw);
+    };
+
+    draw();
+    const unsubscribe = scrollDriver.subscribe(requestDraw);
+
+    return () => {
+      unsubscribe();
+      if (frameId !== null) cancelAnimationFrame(frameId);
+    };
+  }, [
+    points,
+    timelineStages,
+    sphereRadius,
+    waveRamp,
+    surfaceRamp,
+    additive,
+    waveCamera,
+    sphereCamera,
+    scrollDriver,
+    progressStore,
+  ]);
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        width: '100%',
+        height: '100%',
+        background: getBackgroundStyle(resolvedTheme.background),
+        overflow: 'hidden',
+        zIndex: -1
+      }}
+    >
+      <canvas ref={canvasRef} style={{ display: 'block', width: '100%', height: '100%' }} />
+    </div>
+  );
+};
+
+export default ParticleFallback;
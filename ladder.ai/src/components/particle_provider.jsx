@@ -0,0 +1,52 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MorphProgressContext } from '../hooks/useMorphProgress';
+import { createMorphProgress } from '../lib/morphProgress';
+
+/**
+ * ParticleProvider - shares a particle field's morph progress with the
+ * rest of the page.
+ *
+ * Wrap the page (or the part of it that reacts to the particles) and put
+ * one MorphingWaveToSphere or MorphingPoints inside. The field publishes
+ * the eased progress it draws with, so `useMorphProgress()` and
+ * `useMorphStage()` line text reveals and overlays up with exactly what
+ * the dots are doing, whatever drives the morph (scroll, `progress`, a
+ * ref's morphTo). The 2D fallback publishes its progress too.
+ *
+ *   <ParticleProvider onStageEnter={({ stage }) => track(stage.name)}>
+ *     <MorphingWaveToSphere stages={stages} />
+ *     <Captions />
+ *   </ParticleProvider>
+ *
+ * @param {Object} props
+ * @param {import('react').ReactNode} props.children
+ * @param {(event: import('../lib/morphProgress').MorphStageState) => void} [props.onStageEnter] - Another stage became the nearest, starting with the first
+ * @param {() => void} [props.onMorphComplete] - The morph arrived at the last stage
+ */
+const ParticleProvider = ({ children, onStageEnter, onMorphComplete }) => {
+  const [store] = useState(createMorphProgress);
+  const onStageEnterRef = useRef(onStageEnter);
+  const onMorphCompleteRef = useRef(onMorphComplete);
+
+  useEffect(() => {
+    onStageEnterRef.current = onStageEnter;
+    onMorphCompleteRef.current = onMorphComplete;
+  }, [onStageEnter, onMorphComplete]);
+
+  useEffect(() => {
+    const offStageEnter = store.onStageEnter((event) => onStageEnterRef.current?.(event));
+    const offMorphComplete = store.onMorphComplete(() => onMorphCompleteRef.current?.());
+    return () => {
+      offStageEnter();
+      offMorphComplete();
+    };
+  }, [store]);
+
+  return (
+    <MorphProgressContext.Provider value={store}>
+      {children}
+    </MorphProgressContext.Provider>
+  );
+};
+
+export default ParticleProvider;
@@ -1,87 +1,47 @@
-import React, { useRef, useMemo } from "react";
-import { Canvas, useFrame } from "@react-three/fiber";
+import React, { useCallback, useEffect, useRef, useMemo } from "react";
+import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
 import { OrbitControls } from "@react-three/drei";
+import { SIMPLEX_NOISE_GLSL } from "../lib/glsl";
+import { RAMP_GLSL, createRampData, createRampTexture, loadRamp, paletteRamp, writeRamp } from "../lib/gradientRamp";
+import { useFieldGeometry } from "../hooks/useFieldGeometry";
+import { usePreset } from "../hooks/usePreset";
+import { resolveLook } from "../lib/look";
+import { DEFAULT_BLOOM, createPostProcessing } from "../lib/postProcessing";
+import { getTheme } from "../lib/themes";
+import { REDUCED_MOTION_TIME_SCALE, useReducedMotion } from "../hooks/useReducedMotion";
+
+// 200 segments for EXTREMELY high density to look like a solid cloud;
+// a model gets the same point budget
+const SPHERE_SEGMENTS = 200;
+const SPHERE_RADIUS = 1.7;
+
+// Deep "blood red" in the shadows, red-orange through the middle and
+// vibrant orange (no yellow / white) only at the very tips of the noise
+const SPHERE_RAMP = ["#660505 0%", "#CC1A0D 60%", "#FF6600 100%"];
+
+// Presets are written for MorphingWaveToSphere's sphere; their scenes are
+// built at that size and scaled down to this one
+const PRESET_SPHERE_RADIUS = 18;
+
+const CAMERA_POSITION = [0, 0, 4.5];
 
 // --- GLSL SHADERS ---
 
 const vertexShader = `
   uniform float uTime;
+  uniform float uNoiseScale;
+  uniform float uDisplacement;
   varying float vNoise;
 
-  // --- Noise Functions ---
-  vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-  vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-  vec4 permute(vec4 x) { return mod289(((x*34.0)+1.0)*x); }
-  vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
-
-  float snoise(vec3 v) {
-    const vec2  C = vec2(1.0/6.0, 1.0/3.0) ;
-    const vec4  D = vec4(0.0, 0.5, 1.0, 2.0);
-
-    vec3 i  = floor(v + dot(v, C.yyy) );
-    vec3 x0 = v - i + dot(i, C.xxx) ;
-
-    vec3 g = step(x0.yzx, x0.xyz);
-    vec3 l = 1.0 - g;
-    vec3 i1 = min( g.xyz, l.zxy );
-    vec3 i2 = max( g.xyz, l.zxy );
-
-    vec3 x1 = x0 - i1 + C.xxx;
-    vec3 x2 = x0 - i2 + C.yyy;
-    vec3 x3 = x0 - D.yyy;
-
-    i = mod289(i);
-    vec4 p = permute( permute( permute(
-              i.z + vec4(0.0, i1.z, i2.z, 1.0 ))
-            + i.y + vec4(0.0, i1.y, i2.y, 1.0 ))
-            + i.x + vec4(0.0, i1.x, i2.x, 1.0 ));
-
-    float n_ = 0.142857142857;
-    vec3  ns = n_ * D.wyz - D.xzx;
-
-    vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
-
-    vec4 x_ = floor(j * ns.z);
-    vec4 y_ = floor(j - 7.0 * x_ );
-
-    vec4 x = x_ *ns.x + ns.yyyy;
-    vec4 y = y_ *ns.x + ns.yyyy;
-    vec4 h = 1.0 - abs(x) - abs(y);
-
-    vec4 b0 = vec4( x.xy, y.xy );
-    vec4 b1 = vec4( x.zw, y.zw );
-
-    vec4 s0 = floor(b0)*2.0 + 1.0;
-    vec4 s1 = floor(b1)*2.0 + 1.0;
-    vec4 sh = -step(h, vec4(0.0));
-
-    vec4 a0 = b0.xzyw + s0.xzyw*sh.xxyy ;
-    vec4 a1 = b1.xzyw + s1.xzyw*sh.zzww ;
-
-    vec3 p0 = vec3(a0.xy,h.x);
-    vec3 p1 = vec3(a0.zw,h.y);
-    vec3 p2 = vec3(a1.xy,h.z);
-    vec3 p3 = vec3(a1.zw,h.w);
-
-    vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2, p2), dot(p3,p3)));
-    p0 *= norm.x;
-    p1 *= norm.y;
-    p2 *= norm.z;
-    p3 *= norm.w;
-
-    vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
-    m = m * m;
-    return 42.0 * dot( m*m, vec4( dot(p0,x0), dot(p1,x1),
-                                  dot(p2,x2), dot(p3,x3) ) );
-  }
+  ${SIMPLEX_NOISE_GLSL}
 
   void main() {
-    float noise = snoise(position * 1.5 + uTime * 0.2);
+    float noise = snoise(position * uNoiseScale + uTime * 0.2);
     vNoise = noise;
     
     // Smooth displacement
-    vec3 newPos = position + (normal * noise * 0.3);
+    vec3 newPos = position + (normal * noise * uDisplacement);
 
     vec4 mvPosition = modelViewMatrix * vec4(newPos, 1.0);
     
@@ -92,60 +52,88 @@ const vertexShader = `
 `;
 
 const fragmentShader = `
+  uniform sampler2D uRamp;
   varying float vNoise;
 
+  ${RAMP_GLSL}
+
   void main() {
     float d = distance(gl_PointCoord, vec2(0.5));
     if (d > 0.5) discard;
 
-    // --- EXACT COLOR MATCHING ---
-    // 1. Base Color: Deep "Blood Red" (for the shadow areas)
-    vec3 colorDeep = vec3(0.4, 0.02, 0.02); 
-    
-    // 2. Mid Color: Standard Red-Orange
-    vec3 colorMid = vec3(0.8, 0.1, 0.05);
-
-    // 3. Highlight: Vibrant Orange (Removed Yellow/White completely)
-    vec3 colorHighlight = vec3(1.0, 0.4, 0.0); 
-
-    // Normalize noise to 0.0 -> 1.0
+    // Normalize noise to 0.0 -> 1.0 and look the colour up in the ramp
     float n = smoothstep(-0.4, 0.4, vNoise);
-
-    vec3 finalColor;
-
-    // Strictly limit the "bright" part to only the very tips
-    if (n < 0.6) {
-       // Bottom 60% of noise is just Red -> Deep Red
-       finalColor = mix(colorDeep, colorMid, n / 0.6);
-    } else {
-       // Top 40% transitions to Orange
-       finalColor = mix(colorMid, colorHighlight, (n - 0.6) / 0.4);
-    }
+    vec3 finalColor = sampleRamp(uRamp, n);
 
     // Reduce alpha to prevent "blown out" white look when points overlap
     float alpha = 0.8 - smoothstep(0.2, 0.5, d);
     
     gl_FragColor = vec4(finalColor, alpha);
+    #include <colorspace_fragment>
   }
 `;
 
 // --- REACT COMPONENTS ---
 
-const GlowingSphere = () => {
+const GlowingSphere = ({ shape, segmentsX, segmentsY, scale, noiseScale, displacement, spin, reducedMotion, ramp }) => {
   const meshRef = useRef();
-  const uniforms = useMemo(() => ({ uTime: { value: 0.0 } }), []);
+  const timeRef = useRef(0);
+  const rampTexture = useMemo(() => createRampTexture(createRampData(SPHERE_RAMP)), []);
+  const uniforms = useMemo(() => ({
+    uTime: { value: 0.0 },
+    uRamp: { value: rampTexture },
+    uNoiseScale: { value: 0 },
+    uDisplacement: { value: 0 },
+  }), [rampTexture]);
+
+  useEffect(() => () => rampTexture.dispose(), [rampTexture]);
+
+  // Compared by value; an image ramp keeps the previous colours until it loads
+  const rampKey = JSON.stringify(ramp);
+  useEffect(() => {
+    let cancelled = false;
+    loadRamp(JSON.parse(rampKey)).then((data) => {
+      if (!cancelled) writeRamp(rampTexture, data);
+    }).catch((error) => {
+      console.error("IzumSphere: failed to load the colour ramp", error);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [rampKey, rampTexture]);
+
+  // The sphere, a .glb / .obj surface or a preset's shape sampled into as
+  // many points; compared by value
+  const shapeKey = JSON.stringify(shape);
+  const fieldOptions = useMemo(() => ({
+    segmentsX,
+    segmentsY,
+    shapes: [{ ...JSON.parse(shapeKey), position: "position", normal: "normal" }],
+  }), [segmentsX, segmentsY, shapeKey]);
+  const handleError = useCallback((error) => {
+    const { shape: name, url } = JSON.parse(shapeKey);
+    console.error(`IzumSphere: failed to load ${name === "model" ? `model "${url}"` : `the ${name}`}`, error);
+  }, [shapeKey]);
+  const geometry = useFieldGeometry(fieldOptions, handleError);
+
+  useFrame((state, delta) => {
+    // Accumulated so switching to reduced motion slows the sphere without a jump
+    timeRef.current += delta * (reducedMotion ? REDUCED_MOTION_TIME_SCALE : 1);
 
-  useFrame((state) => {
     if (meshRef.current) {
-      meshRef.current.material.uniforms.uTime.value = state.clock.getElapsedTime();
-      meshRef.current.rotation.y = state.clock.getElapsedTime() * 0.1;
+      const { uniforms: live } = meshRef.current.material;
+      live.uTime.value = timeRef.current;
+      live.uNoiseScale.value = noiseScale;
+      live.uDisplacement.value = displacement;
+      meshRef.current.rotation.y = timeRef.current * spin;
     }
   });
 
+  // Nothing to draw until the points are ready
+  if (!geometry) return null;
+
   return (
-    <points ref={meshRef}>
-      {/* 200 segments for EXTREMELY high density to look like a solid cloud */}
-      <sphereGeometry args={[1.7, 200, 200]} />
+    <points ref={meshRef} geometry={geometry} scale={scale}>
       <shaderMaterial
         vertexShader={vertexShader}
         fragmentShader={fragmentShader}
@@ -159,7 +147,113 @@ const GlowingSphere = () => {
   );
 };
 
-const IzumSphere = () => {
+// Takes over rendering from the canvas while mounted
+const PostProcessing = ({ settings }) => {
+  const { gl, scene, camera, size } = useThree();
+  const postRef = useRef(null);
+
+  useEffect(() => {
+    const post = createPostProcessing({ renderer: gl, scene, camera });
+    postRef.current = post;
+    return () => {
+      post.dispose();
+      postRef.current = null;
+    };
+  }, [gl, scene, camera]);
+
+  useEffect(() => {
+    postRef.current?.setSize(size.width, size.height);
+  }, [gl, scene, camera, size]);
+
+  useEffect(() => {
+    postRef.current?.setSettings(settings);
+  }, [gl, scene, camera, settings]);
+
+  useFrame((state, delta) => {
+    if (postRef.current) {
+      postRef.current.render(delta);
+    } else {
+      gl.render(scene, camera);
+    }
+  }, 1);
+
+  return null;
+};
+
+// The sphere's own scene, or a preset's: built at the preset's scale (its
+// look is in those units) and shrunk to this sphere's size
+const resolveScene = (presetProps, { model, modelFormat, ramp }) => {
+  const fromPreset = Object.keys(presetProps).length > 0;
+  const {
+    segmentsX = SPHERE_SEGMENTS,
+    segmentsY = SPHERE_SEGMENTS,
+    sphereRadius = fromPreset ? PRESET_SPHERE_RADIUS : SPHERE_RADIUS,
+    sphereDistribution = "uv",
+    stages,
+    theme,
+    colors,
+    sphereCamera,
+    look,
+  } = presetProps;
+  const scale = SPHERE_RADIUS / sphereRadius;
+  const { noiseScale, displacement, spin } = fromPreset
+    ? resolveLook({ spin: 0.1, ...look })
+    : { noiseScale: 1.5, displacement: 0.3, spin: 0.1 };
+  const shape = model
+    ? { shape: "model", url: model, format: modelFormat, radius: sphereRadius }
+    : stages?.findLast((stage) => stage.shape !== "wave")
+      ?? { shape: "sphere", radius: sphereRadius, distribution: sphereDistribution };
+
+  return {
+    // Orbit controls keep the camera on the centre, so only the position counts
+    cameraPosition: sphereCamera ? sphereCamera.position.map((value) => value * scale) : CAMERA_POSITION,
+    sphere: {
+      shape,
+      segmentsX,
+      segmentsY,
+      scale,
+      noiseScale,
+      displacement,
+      spin,
+      ramp: ramp ?? (colors && paletteRamp(colors)) ?? (theme && getTheme(theme).surface) ?? SPHERE_RAMP,
+    },
+  };
+};
+
+/**
+ * IzumSphere - glowing noise sphere
+ *
+ * Pass `model` (a local .glb / .gltf / .obj URL) to sample that mesh's
+ * surface instead of the sphere; `modelFormat` is only needed when the URL
+ * has no telling extension.
+ *
+ * Follows prefers-reduced-motion (or the `reducedMotion` override): the
+ * noise and spin slow to a crawl.
+ *
+ * `bloom` (true or bloom options, see lib/postProcessing) adds a threshold
+ * bloom with tone mapping, plus optional vignette and grain.
+ *
+ * `ramp` colours the dots from low to high noise: colour stops such as
+ * `["#300 0%", "#c20 60%", "#f90"]` or the URL of a gradient image (see
+ * lib/gradientRamp). Defaults to the red-orange ramp.
+ *
+ * `preset` (or `?preset=`) draws a scene preset's last shape, density,
+ * colours (its palette, else its theme's surface ramp), noise, spin and
+ * sphere camera, scaled to this sphere (see src/presets/README.md).
+ * `model` and `ramp` win over the preset.
+ */
+const IzumSphere = ({ preset, model, modelFormat, reducedMotion, bloom = false, ramp }) => {
+  const reduceMotion = useReducedMotion(reducedMotion);
+  const bloomSettings = bloom === true ? DEFAULT_BLOOM : bloom;
+  const { props: presetProps, loading: presetLoading, error: presetError } = usePreset(preset);
+  const scene = resolveScene(presetProps, { model, modelFormat, ramp });
+
+  useEffect(() => {
+    if (presetError) {
+      console.error("IzumSphere: ignoring the preset", presetError);
+    }
+  }, [presetError]);
+
   return (
     <div
       style={{
@@ -173,10 +267,14 @@ const IzumSphere = () => {
         zIndex: -1
       }}
     >
-      <Canvas camera={{ position: [0, 0, 4.5], fov: 60 }}>
-        <OrbitControls enableZoom={false} enablePan={false} />
-        <GlowingSphere />
-      </Canvas>
+      {/* A preset URL is fetched before the canvas places its camera */}
+      {!presetLoading && (
+        <Canvas camera={{ position: scene.cameraPosition, fov: 60 }}>
+          <OrbitControls enableZoom={false} enablePan={false} />
+          <GlowingSphere {...scene.sphere} reducedMotion={reduceMotion} />
+          {bloomSettings && <PostProcessing settings={bloomSettings} />}
+        </Canvas>
+      )}
     </div>
   );
 };
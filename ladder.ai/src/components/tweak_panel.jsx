@@ -0,0 +1,149 @@
+import React, { useRef, useState } from 'react';
+import { LOOK_CONTROLS } from '../lib/look';
+import { PRESET_VERSION, lookToPreset, parsePreset, presetToProps } from '../lib/preset';
+
+const panelStyle = {
+  position: 'fixed',
+  top: 12,
+  right: 12,
+  zIndex: 1000,
+  width: 280,
+  maxHeight: 'calc(100vh - 24px)',
+  overflowY: 'auto',
+  padding: 12,
+  borderRadius: 6,
+  background: 'rgba(10, 10, 10, 0.85)',
+  color: '#eee',
+  font: '12px/1.4 monospace',
+};
+
+const rowStyle = {
+  display: 'grid',
+  gridTemplateColumns: '1fr 64px',
+  gap: 6,
+  alignItems: 'center',
+  marginBottom: 6,
+};
+
+const buttonStyle = {
+  flex: 1,
+  padding: '4px 0',
+  border: '1px solid #555',
+  borderRadius: 4,
+  background: '#222',
+  color: '#eee',
+  font: 'inherit',
+  cursor: 'pointer',
+};
+
+/**
+ * Number box that keeps what is typed while it has focus, so a cleared or
+ * half-typed field is never applied (or persisted) as a value; it shows the
+ * look's value again on blur.
+ */
+const NumberField = ({ value, step, onCommit }) => {
+  const [draft, setDraft] = useState(null);
+
+  const handleChange = (event) => {
+    const text = event.target.value;
+    setDraft(text);
+    if (text.trim() !== '') onCommit(Number(text));
+  };
+
+  return (
+    <input
+      type="number"
+      step={step}
+      value={draft ?? value}
+      onChange={handleChange}
+      onBlur={() => setDraft(null)}
+      style={{ width: '100%', font: 'inherit' }}
+    />
+  );
+};
+
+/**
+ * TweakPanel - dev overlay with a slider per look parameter.
+ *
+ * Changes apply live through `onChange`, which receives only the keys that
+ * differ from `baseLook`. Export downloads the full look as a scene preset
+ * with only the look sections; import takes the look from any preset file
+ * (older look exports are migrated).
+ *
+ * @param {Object} props
+ * @param {Object} props.look - The look on screen
+ * @param {Object} props.baseLook - The look without tweaks, for reset and diffing
+ * @param {(tweaks: Object) => void} props.onChange
+ */
+const TweakPanel = ({ look, baseLook, onChange }) => {
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const applyLook = (next) => {
+    const tweaks = Object.fromEntries(
+      Object.entries(next).filter(([key, value]) => value !== baseLook[key])
+    );
+    onChange(tweaks);
+  };
+
+  const handleChange = (key, value) => {
+    if (!Number.isFinite(value)) return;
+    applyLook({ ...look, [key]: value });
+  };
+
+  const handleExport = () => {
+    const preset = { version: PRESET_VERSION, ...lookToPreset(look) };
+    const blob = new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'particle-preset.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url));
+  };
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      applyLook({ ...baseLook, ...presetToProps(parsePreset(await file.text())).look });
+      setError(null);
+    } catch (importError) {
+      setError(importError.message);
+    }
+  };
+
+  return (
+    <div style={panelStyle}>
+      <strong style={{ display: 'block', marginBottom: 8 }}>Particle look</strong>
+      {LOOK_CONTROLS.map(({ key, label, min, max, step }) => (
+        <label key={key} style={{ display: 'block' }}>
+          <span style={{ color: look[key] === baseLook[key] ? '#999' : '#ffb347' }}>{label}</span>
+          <div style={rowStyle}>
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={look[key]}
+              onChange={(event) => handleChange(key, Number(event.target.value))}
+            />
+            <NumberField step={step} value={look[key]} onCommit={(value) => handleChange(key, value)} />
+          </div>
+        </label>
+      ))}
+      <div style={{ display: 'flex', gap: 6, marginTop: 8 }}>
+        <button type="button" style={buttonStyle} onClick={() => onChange({})}>Reset</button>
+        <button type="button" style={buttonStyle} onClick={handleExport}>Export</button>
+        <button type="button" style={buttonStyle} onClick={() => fileRef.current?.click()}>Import</button>
+      </div>
+      <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={handleImport} />
+      {error && <p style={{ color: '#ff6b6b', margin: '8px 0 0' }}>{error}</p>}
+      <p style={{ color: '#777', margin: '8px 0 0' }}>` toggles this panel</p>
+    </div>
+  );
+};
+
+export default TweakPanel;
@@ -0,0 +1,48 @@
+import { useEffect, useRef, useState } from 'react';
+import { createFieldGeometry } from '../lib/particleField';
+
+/**
+ * The geometry `createFieldGeometry(options)` builds, for React trees that
+ * draw it themselves (e.g. inside an R3F canvas).
+ *
+ * Returns null until the shapes are ready and whenever `options` has
+ * changed since; disposes every geometry it built. Pass a memoised
+ * `options` object, a new one rebuilds the geometry.
+ *
+ * @param {Parameters<typeof createFieldGeometry>[0]} options
+ * @param {(error: Error) => void} [onError]
+ * @returns {import('three').BufferGeometry | null}
+ */
+export const useFieldGeometry = (options, onError) => {
+  const [built, setBuilt] = useState(null);
+  const onErrorRef = useRef(onError);
+
+  useEffect(() => {
+    onErrorRef.current = onError;
+  }, [onError]);
+
+  useEffect(() => {
+    let cancelled = false;
+    let geometry = null;
+
+    createFieldGeometry(options)
+      .then((created) => {
+        geometry = created;
+        if (cancelled) {
+          created.dispose();
+          return;
+        }
+        setBuilt({ options, geometry: created });
+      })
+      .catch((error) => {
+        if (!cancelled) onErrorRef.current?.(error);
+      });
+
+    return () => {
+      cancelled = true;
+      geometry?.dispose();
+    };
+  }, [options]);
+
+  return built?.options === options ? built.geometry : null;
+};
@@ -0,0 +1,58 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const STORAGE_KEY = 'particle-look-tweaks';
+// Backquote: out of the way of page shortcuts and typing
+const TOGGLE_KEY = '`';
+
+const hasDebugParam = () => new URLSearchParams(window.location.search).has('debug');
+
+const loadTweaks = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Look tweaks from the dev tweak panel, persisted in localStorage.
+ *
+ * The panel is available in development builds and on any page opened
+ * with `?debug` (which also opens it); the backquote key shows and hides
+ * it. Elsewhere no tweaks are loaded and `available` is false.
+ *
+ * @returns {{
+ *   available: boolean,
+ *   open: boolean,
+ *   tweaks: Partial<typeof import('../lib/look').DEFAULT_LOOK>,
+ *   setTweaks: (tweaks: Object) => void,
+ * }}
+ */
+export const useLookTweaks = () => {
+  const [available] = useState(() => import.meta.env.DEV || hasDebugParam());
+  const [open, setOpen] = useState(hasDebugParam);
+  const [tweaks, setTweakState] = useState(() => (available ? loadTweaks() : {}));
+
+  useEffect(() => {
+    if (!available) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key !== TOGGLE_KEY || event.target.closest?.('input, textarea, select')) return;
+      setOpen((current) => !current);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [available]);
+
+  const setTweaks = useCallback((next) => {
+    setTweakState(next);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch {
+      // Private mode or full storage: tweaks still apply, they just do not persist
+    }
+  }, []);
+
+  return { available, open, tweaks, setTweaks };
+};
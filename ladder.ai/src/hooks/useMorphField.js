@@ -0,0 +1,280 @@
+import { useContext, useEffect, useImperativeHandle, useMemo, useRef } from 'react';
+import { DEFAULT_AUDIO, createAudioBands } from '../lib/audioBands';
+import { createDefaultStages, DEFAULT_SPHERE_CAMERA, DEFAULT_WAVE_CAMERA } from '../lib/morphDefaults';
+import { paletteRamp } from '../lib/gradientRamp';
+import { createMorphField, createMorphGeometry, disposeMorphGeometry } from '../lib/morphField';
+import { DEFAULT_PHYSICS } from '../lib/particlePhysics';
+import { DEFAULT_RIPPLE } from '../lib/ripples';
+import { lerpFactorToResponse } from '../lib/spring';
+import { DEFAULT_THEME, getTheme } from '../lib/themes';
+import { getTrajectory } from '../lib/trajectories';
+import { MorphProgressContext } from './useMorphProgress';
+import { useReducedMotion } from './useReducedMotion';
+
+/**
+ * @typedef {Object} MorphControls
+ * @property {() => void} play - Resumes the clock after pause()
+ * @property {() => void} pause - Freezes the clock: wave, noise, drift and running morphTo() tweens
+ * @property {(progress: number) => void} seek - Jumps to a progress (0..1) and holds it until followScroll()
+ * @property {(seconds: number) => void} setTime - Sets the animation clock
+ * @property {(progress: number, options?: { duration?: number, easing?: string | ((t: number) => number) }) => Promise<boolean>} morphTo
+ *   Animates to a progress and holds it until followScroll(); resolves with false when cut short and rejects on a non-finite progress or duration or an unknown easing
+ * @property {() => void} followScroll - Hands the progress back to the scroll position
+ */
+
+// Deprecated props already warned about, so each is reported once per page
+const warnedProps = new Set();
+
+const warnDeprecated = (prop, replacement) => {
+  if (warnedProps.has(prop)) return;
+  warnedProps.add(prop);
+  console.warn(
+    `MorphingWaveToSphere: "${prop}" is deprecated; use "${replacement}" (seconds to catch up 90%) instead`
+  );
+};
+
+// A deprecated per-frame lerp factor, when given, wins over the response
+const toResponse = (factor, response) => (
+  Number.isFinite(factor) ? lerpFactorToResponse(factor) : response
+);
+
+/**
+ * The morphing field for the MorphingWaveToSphere props, kept in sync with
+ * them: live settings are read every frame, geometry props and `stages`
+ * rebuild only the geometry, and theme or colour changes animate over
+ * `themeTransition` seconds.
+ *
+ * The field is created in one of this hook's effects, so effects declared
+ * after the hook can use `fieldRef.current`; attach
+ * `fieldRef.current.points` to a scene and call its `update()` every frame.
+ *
+ * @param {Object} options - The MorphingWaveToSphere field props, plus:
+ * @param {number} [options.density=1] - Fraction of the grid segments to build
+ * @param {boolean} [options.controlCamera=true] - Whether the field moves the camera through the stage poses
+ * @param {(reason: 'error', error: Error) => void} [options.onFailure] - A geometry that failed to build
+ * @param {import('react').Ref<MorphControls>} [options.ref] - Receives the playback controls
+ * @returns {{ fieldRef: { current: ReturnType<typeof createMorphField> | null }, configRef: { current: Object } }}
+ */
+export const useMorphField = ({
+  width = 240,
+  height = 120,
+  segmentsX = 200,
+  segmentsY = 100,
+  sphereRadius = 18,
+  sphereDistribution = 'uv',
+  theme = DEFAULT_THEME,
+  themeTransition = 1.2,
+  colors,
+  waveCamera = DEFAULT_WAVE_CAMERA,
+  sphereCamera = DEFAULT_SPHERE_CAMERA,
+  scrollResponse: scrollResponseProp = 0.75,
+  mouseResponse: mouseResponseProp = 0.35,
+  scrollSmoothing,
+  mouseSmoothing,
+  stages,
+  transition = 'linear',
+  reducedMotion,
+  ripple,
+  physics = false,
+  audio = null,
+  look,
+  density = 1,
+  controlCamera = true,
+  onFailure,
+  ref,
+}) => {
+  const fieldRef = useRef(null);
+  const reduceMotion = useReducedMotion(reducedMotion);
+  const progressStore = useContext(MorphProgressContext);
+  const scrollResponse = toResponse(scrollSmoothing, scrollResponseProp);
+  const mouseResponse = toResponse(mouseSmoothing, mouseResponseProp);
+  const usesScrollSmoothing = scrollSmoothing !== undefined;
+  const usesMouseSmoothing = mouseSmoothing !== undefined;
+  const {
+    strength: rippleStrength = DEFAULT_RIPPLE.strength,
+    speed: rippleSpeed = DEFAULT_RIPPLE.speed,
+    lifetime: rippleLifetime = DEFAULT_RIPPLE.lifetime,
+  } = ripple || {};
+  const ripplesEnabled = ripple !== false;
+  const {
+    stiffness: physicsStiffness = DEFAULT_PHYSICS.stiffness,
+    damping: physicsDamping = DEFAULT_PHYSICS.damping,
+  } = physics === true ? {} : physics || {};
+  const physicsEnabled = Boolean(physics);
+  // A bare element or stream, or { source, bass, mid, high, smoothing }
+  const {
+    source: audioSource = null,
+    bass: {
+      from: bassFrom = DEFAULT_AUDIO.bass.from,
+      to: bassTo = DEFAULT_AUDIO.bass.to,
+      gain: bassGain = DEFAULT_AUDIO.bass.gain,
+    } = {},
+    mid: {
+      from: midFrom = DEFAULT_AUDIO.mid.from,
+      to: midTo = DEFAULT_AUDIO.mid.to,
+      gain: midGain = DEFAULT_AUDIO.mid.gain,
+    } = {},
+    high: {
+      from: highFrom = DEFAULT_AUDIO.high.from,
+      to: highTo = DEFAULT_AUDIO.high.to,
+      gain: highGain = DEFAULT_AUDIO.high.gain,
+    } = {},
+    smoothing: audioSmoothing = DEFAULT_AUDIO.smoothing,
+  } = audio && 'source' in audio ? audio : { source: audio };
+  const configRef = useRef(null);
+  const onFailureRef = useRef(onFailure);
+
+  const defaultStages = useMemo(
+    () => createDefaultStages(sphereRadius, sphereDistribution),
+    [sphereRadius, sphereDistribution]
+  );
+  const timelineStages = stages ?? defaultStages;
+
+  // Live settings read by the animation loop
+  useEffect(() => {
+    getTrajectory(transition);
+    configRef.current = {
+      waveCamera,
+      sphereCamera,
+      scrollResponse,
+      mouseResponse,
+      transition,
+      reducedMotion: reduceMotion,
+      ripple: ripplesEnabled ? { strength: rippleStrength, speed: rippleSpeed, lifetime: rippleLifetime } : null,
+      physics: physicsEnabled ? { stiffness: physicsStiffness, damping: physicsDamping } : null,
+      controlCamera,
+      progress: progressStore,
+      audio: audioSource ? {
+        bass: { from: bassFrom, to: bassTo, gain: bassGain },
+        mid: { from: midFrom, to: midTo, gain: midGain },
+        high: { from: highFrom, to: highTo, gain: highGain },
+        smoothing: audioSmoothing,
+      } : null,
+    };
+  }, [
+    waveCamera,
+    sphereCamera,
+    scrollResponse,
+    mouseResponse,
+    transition,
+    reduceMotion,
+    ripplesEnabled,
+    rippleStrength,
+    rippleSpeed,
+    rippleLifetime,
+    physicsEnabled,
+    physicsStiffness,
+    physicsDamping,
+    controlCamera,
+    progressStore,
+    audioSource,
+    bassFrom,
+    bassTo,
+    bassGain,
+    midFrom,
+    midTo,
+    midGain,
+    highFrom,
+    highTo,
+    highGain,
+    audioSmoothing,
+  ]);
+
+  useEffect(() => {
+    onFailureRef.current = onFailure;
+  }, [onFailure]);
+
+  useEffect(() => {
+    if (usesScrollSmoothing) warnDeprecated('scrollSmoothing', 'scrollResponse');
+    if (usesMouseSmoothing) warnDeprecated('mouseSmoothing', 'mouseResponse');
+  }, [usesScrollSmoothing, usesMouseSmoothing]);
+
+  useEffect(() => {
+    const field = createMorphField({ getConfig: () => configRef.current });
+    fieldRef.current = field;
+
+    return () => {
+      field.dispose();
+      fieldRef.current = null;
+    };
+  }, []);
+
+  // The analyser lives as long as its source; band settings update live
+  useEffect(() => {
+    const field = fieldRef.current;
+    if (!field || !audioSource) return;
+
+    const bands = createAudioBands(audioSource);
+    field.setAudio(bands);
+    return () => {
+      field.setAudio(null);
+      bands.dispose();
+    };
+  }, [audioSource]);
+
+  // Lower quality levels thin the grid out by `density`
+  const densitySegmentsX = Math.max(2, Math.round(segmentsX * density));
+  const densitySegmentsY = Math.max(2, Math.round(segmentsY * density));
+
+  // Rebuild only the geometry when a geometry prop, the density or the
+  // timeline changes. Shape generators may be async (fonts), so the old
+  // geometry stays bound until the new one is ready.
+  useEffect(() => {
+    const field = fieldRef.current;
+    if (!field) return;
+
+    let cancelled = false;
+
+    createMorphGeometry({
+      width,
+      height,
+      segmentsX: densitySegmentsX,
+      segmentsY: densitySegmentsY,
+      stages: timelineStages,
+    }).then((built) => {
+      if (cancelled) {
+        disposeMorphGeometry(built.geometry, built.targets);
+        return;
+      }
+      field.setTimeline(built, timelineStages);
+    }).catch((error) => {
+      if (!cancelled) onFailureRef.current?.('error', error);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [width, height, densitySegmentsX, densitySegmentsY, timelineStages]);
+
+  // Calls before the field exists (or after it is gone) do nothing
+  useImperativeHandle(ref, () => ({
+    play: () => fieldRef.current?.play(),
+    pause: () => fieldRef.current?.pause(),
+    seek: (progress) => fieldRef.current?.seek(progress),
+    setTime: (seconds) => fieldRef.current?.setTime(seconds),
+    morphTo: (progress, options) => fieldRef.current?.morphTo(progress, options) ?? Promise.resolve(false),
+    followScroll: () => fieldRef.current?.followScroll(),
+  }), []);
+
+  // Compared by value, so an inline look object does not re-apply every render
+  const lookKey = JSON.stringify(look ?? {});
+  useEffect(() => {
+    fieldRef.current?.setLook(JSON.parse(lookKey));
+  }, [lookKey]);
+
+  // `colors` replaces the theme's wave ramp; both compared by value
+  const themeKey = JSON.stringify(theme);
+  const [color1, color2, color3] = colors ?? [];
+  useEffect(() => {
+    const resolved = getTheme(JSON.parse(themeKey));
+    fieldRef.current?.setTheme(
+      color1 ? { ...resolved, wave: paletteRamp([color1, color2, color3]) } : resolved,
+      reduceMotion ? 0 : themeTransition
+    ).catch((error) => {
+      // A ramp image that does not load leaves the current colours
+      console.error('Particle theme: keeping the current colours', error);
+    });
+  }, [themeKey, color1, color2, color3, reduceMotion, themeTransition]);
+
+  return { fieldRef, configRef };
+};
@@ -0,0 +1,41 @@
+import { createContext, useContext, useSyncExternalStore } from 'react';
+
+/**
+ * The ParticleProvider's progress store (lib/morphProgress), or null
+ * outside one. Particle components publish into it; overlays read it
+ * through the hooks below.
+ */
+export const MorphProgressContext = createContext(null);
+
+const useMorphProgressStore = (hook) => {
+  const store = useContext(MorphProgressContext);
+  if (!store) {
+    throw new Error(`${hook} must be used inside a <ParticleProvider>`);
+  }
+  return store;
+};
+
+const getServerProgress = () => 0;
+const getServerStage = () => null;
+
+/**
+ * The eased morph progress (0..1 across the timeline) the particles are
+ * drawn with this frame. Re-renders while the morph moves.
+ *
+ * @returns {number}
+ */
+export const useMorphProgress = () => {
+  const store = useMorphProgressStore('useMorphProgress');
+  return useSyncExternalStore(store.subscribe, store.getProgress, getServerProgress);
+};
+
+/**
+ * The stage the dots are closest to, as `{ index, stage }`; null until the
+ * field has drawn a frame. Re-renders only when it changes.
+ *
+ * @returns {import('../lib/morphProgress').MorphStageState | null}
+ */
+export const useMorphStage = () => {
+  const store = useMorphProgressStore('useMorphStage');
+  return useSyncExternalStore(store.subscribe, store.getStage, getServerStage);
+};
@@ -0,0 +1,92 @@
+import { useEffect, useMemo, useState } from 'react';
+import { loadPreset, presetToProps } from '../lib/preset';
+import { PRESETS } from '../presets';
+
+const PRESET_PARAM = 'preset';
+
+const readPresetParam = () => new URLSearchParams(window.location.search).get(PRESET_PARAM);
+
+// Only strings with a scheme, a path or a .json file name are fetched;
+// anything else has to be a library name
+const isPresetUrl = (value) => /^(?:https?:|\/|\.{1,2}\/)|\.json(?:[?#]|$)/i.test(value);
+
+const isLibraryName = (value) => Object.hasOwn(PRESETS, value);
+
+const libraryNames = () => Object.keys(PRESETS).join(', ');
+
+/**
+ * Resolves a `preset` prop into component props.
+ *
+ * `preset` is a preset object, the name of one in src/presets, or the URL
+ * or path of a preset JSON file (`https://...`, `/...`, `./...` or
+ * `*.json`); any other string is reported as an unknown name. A
+ * `?preset=<name>` page parameter overrides it with a library preset, so
+ * A/B variants need no code change; the parameter never fetches URLs.
+ *
+ * A preset that cannot be loaded or fails validation is reported through
+ * `error` and contributes no props.
+ *
+ * @param {import('../lib/preset').ScenePreset | string} [preset]
+ * @returns {{ props: Object, loading: boolean, error: Error | null }}
+ */
+export const usePreset = (preset) => {
+  const [pageName] = useState(readPresetParam);
+  const [fetched, setFetched] = useState({ url: null, json: null, error: null });
+
+  const pageError = pageName && !isLibraryName(pageName)
+    ? `Unknown ?${PRESET_PARAM}=${pageName}; the library has ${libraryNames()}`
+    : null;
+  const source = pageName && !pageError ? pageName : preset;
+  const external = typeof source === 'string' && !isLibraryName(source);
+  const url = external && isPresetUrl(source) ? source : null;
+  const nameError = external && !url
+    ? `Unknown particle preset "${source}"; the library has ${libraryNames()}`
+    : null;
+
+  useEffect(() => {
+    if (!url) return;
+
+    let cancelled = false;
+    fetch(url)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then((json) => {
+        if (!cancelled) setFetched({ url, json, error: null });
+      })
+      .catch((error) => {
+        if (!cancelled) setFetched({ url, json: null, error: `Could not load particle preset "${url}": ${error.message}` });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  const loading = Boolean(url) && fetched.url !== url;
+  let raw = typeof source === 'string' ? (isLibraryName(source) ? PRESETS[source] : null) : source;
+  let fetchError = null;
+  if (url) {
+    raw = loading ? null : fetched.json;
+    fetchError = loading ? null : fetched.error;
+  }
+
+  // Compared by value, so an inline preset object is not re-validated every
+  // render and its stages keep their identity
+  const rawKey = JSON.stringify(raw ?? null);
+  const resolved = useMemo(() => {
+    const json = JSON.parse(rawKey);
+    if (json === null) return { props: {}, error: null };
+    try {
+      return { props: presetToProps(loadPreset(json)), error: null };
+    } catch (error) {
+      return { props: {}, error };
+    }
+  }, [rawKey]);
+
+  const message = pageError ?? nameError ?? fetchError;
+  const error = useMemo(() => (message ? new Error(message) : null), [message]);
+
+  return { props: resolved.props, loading, error: error ?? resolved.error };
+};
@@ -0,0 +1,30 @@
+import { useSyncExternalStore } from 'react';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+// How fast animation time runs while motion is reduced: alive, but barely moving
+export const REDUCED_MOTION_TIME_SCALE = 0.05;
+
+const subscribe = (onChange) => {
+  const media = window.matchMedia(QUERY);
+  media.addEventListener('change', onChange);
+  return () => media.removeEventListener('change', onChange);
+};
+
+const getSnapshot = () => window.matchMedia(QUERY).matches;
+
+const getServerSnapshot = () => false;
+
+/**
+ * Whether motion should be reduced.
+ *
+ * Follows the OS `prefers-reduced-motion` setting live; pass `true` or
+ * `false` to override it (e.g. from a site-level toggle).
+ *
+ * @param {boolean} [override]
+ * @returns {boolean}
+ */
+export const useReducedMotion = (override) => {
+  const prefersReducedMotion = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+  return override ?? prefersReducedMotion;
+};
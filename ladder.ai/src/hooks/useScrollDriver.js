@@ -0,0 +1,39 @@
+import { useEffect, useMemo } from 'react';
+import { createScrollDriver } from '../lib/scroll';
+
+/**
+ * Resolves the `scroll`, `scrollRange` and `progress` props into a scroll
+ * driver (see lib/scroll) that only changes when they do.
+ *
+ * `scroll` is a driver type ('window', 'container', 'element') or its
+ * options; `scrollRange` is the default range for the window and container
+ * drivers. A `progress` prop takes over from all of them, so the morph
+ * follows the number instead of any scrolling.
+ *
+ * @param {Object} props
+ * @param {string | import('../lib/scroll').ScrollDriverOptions} [props.scroll='window']
+ * @param {number | null} [props.scrollRange=1.5]
+ * @param {number} [props.progress]
+ * @returns {import('../lib/scroll').ScrollDriver}
+ */
+export const useScrollDriver = ({ scroll, scrollRange = 1.5, progress }) => {
+  const {
+    type = 'window',
+    element = null,
+    range = scrollRange,
+    start = 1,
+    end = 0,
+  } = typeof scroll === 'string' ? { type: scroll } : scroll || {};
+  const controlled = progress !== undefined;
+
+  const driver = useMemo(
+    () => createScrollDriver(controlled ? { type: 'controlled' } : { type, element, range, start, end }),
+    [controlled, type, element, range, start, end]
+  );
+
+  useEffect(() => {
+    if (controlled) driver.set(progress);
+  }, [driver, controlled, progress]);
+
+  return driver;
+};
@@ -0,0 +1,116 @@
+/**
+ * Audio-reactive input for the particle field.
+ *
+ * A Web Audio AnalyserNode listens to an <audio> / <video> element or a
+ * MediaStream and boils its spectrum down to three levels (bass, mids and
+ * highs), each the average loudness of a frequency range times a gain.
+ *
+ * An element can only be routed into Web Audio once, so its context and
+ * source are kept per element and it keeps playing through the speakers. A
+ * stream (e.g. a microphone) is only analysed, never played back.
+ */
+
+/**
+ * @typedef {Object} AudioBand
+ * @property {number} from - Lowest frequency in Hz
+ * @property {number} to - Highest frequency in Hz
+ * @property {number} gain - Scales the band's 0..1 level before it reaches the shader
+ */
+
+/**
+ * @typedef {Object} AudioBandSettings
+ * @property {AudioBand} bass - Swells the wave amplitudes
+ * @property {AudioBand} mid - Pushes the surface noise further out
+ * @property {AudioBand} high - Grows and brightens the dots
+ * @property {number} smoothing - Analyser smoothing between frames (0..1); higher is calmer
+ */
+
+/** @type {AudioBandSettings} */
+export const DEFAULT_AUDIO = {
+  bass: { from: 20, to: 250, gain: 1 },
+  mid: { from: 250, to: 2000, gain: 1 },
+  high: { from: 2000, to: 12000, gain: 1 },
+  smoothing: 0.8,
+};
+
+const FFT_SIZE = 1024;
+
+// Media elements already routed into Web Audio
+const elementSources = new WeakMap();
+
+const getElementSource = (element) => {
+  if (!elementSources.has(element)) {
+    const context = new AudioContext();
+    const node = context.createMediaElementSource(element);
+    node.connect(context.destination);
+    elementSources.set(element, { context, node });
+  }
+  return elementSources.get(element);
+};
+
+// A stream gets a context of its own, closed with the analyser
+const createStreamSource = (stream) => {
+  const context = new AudioContext();
+  return { context, node: context.createMediaStreamSource(stream) };
+};
+
+/**
+ * Starts analysing `source`.
+ *
+ * @param {HTMLMediaElement | MediaStream} source
+ * @returns {{ update: (settings: AudioBandSettings, out: import('three').Vector3) => void, dispose: () => void }}
+ */
+export const createAudioBands = (source) => {
+  const isStream = typeof MediaStream !== 'undefined' && source instanceof MediaStream;
+  const { context, node } = isStream ? createStreamSource(source) : getElementSource(source);
+
+  const analyser = context.createAnalyser();
+  analyser.fftSize = FFT_SIZE;
+  node.connect(analyser);
+  const spectrum = new Uint8Array(analyser.frequencyBinCount);
+
+  // Browsers start contexts suspended until the page gets a gesture
+  const resume = () => {
+    if (context.state === 'suspended') context.resume();
+  };
+  resume();
+  window.addEventListener('pointerdown', resume);
+  window.addEventListener('keydown', resume);
+  if (!isStream) source.addEventListener('play', resume);
+
+  // Average of the bins in a band, 0..1, times its gain
+  const readBand = ({ from, to, gain }) => {
+    const binWidth = context.sampleRate / FFT_SIZE;
+    const first = Math.max(0, Math.floor(from / binWidth));
+    const last = Math.min(spectrum.length - 1, Math.ceil(to / binWidth));
+    if (last < first) return 0;
+
+    let sum = 0;
+    for (let i = first; i <= last; i++) {
+      sum += spectrum[i];
+    }
+    return (sum / (last - first + 1) / 255) * gain;
+  };
+
+  return {
+    /**
+     * Writes the current (bass, mid, high) levels into `out`.
+     */
+    update(settings, out) {
+      analyser.smoothingTimeConstant = settings.smoothing;
+      analyser.getByteFrequencyData(spectrum);
+      out.set(readBand(settings.bass), readBand(settings.mid), readBand(settings.high));
+    },
+
+    dispose() {
+      window.removeEventListener('pointerdown', resume);
+      window.removeEventListener('keydown', resume);
+      node.disconnect(analyser);
+      if (isStream) {
+        context.close();
+      } else {
+        source.removeEventListener('play', resume);
+      }
+    },
+  };
+};
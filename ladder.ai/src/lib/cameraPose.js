@@ -0,0 +1,46 @@
+import * as THREE from 'three';
+
+/**
+ * Camera pose helpers for the morph timeline.
+ */
+
+/**
+ * @typedef {[number, number, number]} Vec3Tuple
+ */
+
+/**
+ * @typedef {Object} CameraPose
+ * @property {Vec3Tuple} position - Camera position
+ * @property {Vec3Tuple} lookAt - Point the camera looks at
+ * @property {Vec3Tuple} up - Camera up vector
+ */
+
+// A stage's own pose, or the wave / surface default from the component props
+export const getStagePose = (stage, isWave, { waveCamera, sphereCamera }) => (
+  stage.camera ?? (isWave ? waveCamera : sphereCamera)
+);
+
+const fromPosition = new THREE.Vector3();
+const toPosition = new THREE.Vector3();
+const fromLookAt = new THREE.Vector3();
+const toLookAt = new THREE.Vector3();
+const lookAtTarget = new THREE.Vector3();
+const fromUp = new THREE.Vector3();
+const toUp = new THREE.Vector3();
+
+// Places the camera between two poses
+export const blendCameraPose = (camera, fromPose, toPose, t) => {
+  fromPosition.fromArray(fromPose.position);
+  toPosition.fromArray(toPose.position);
+  camera.position.lerpVectors(fromPosition, toPosition, t);
+
+  // Up first: lookAt() orients the camera around the current up vector
+  fromUp.fromArray(fromPose.up);
+  toUp.fromArray(toPose.up);
+  camera.up.lerpVectors(fromUp, toUp, t);
+
+  fromLookAt.fromArray(fromPose.lookAt);
+  toLookAt.fromArray(toPose.lookAt);
+  lookAtTarget.lerpVectors(fromLookAt, toLookAt, t);
+  camera.lookAt(lookAtTarget);
+};
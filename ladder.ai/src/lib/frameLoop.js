@@ -0,0 +1,57 @@
+/**
+ * Visibility-aware render loop.
+ *
+ * Runs `onFrame` once per animation frame while `element` intersects the
+ * viewport and the page is visible, and cancels the frame request entirely
+ * otherwise. The clock is paused with the loop and resumed where it stopped,
+ * so `getDelta()` and `getElapsedTime()` carry on without a jump.
+ */
+
+/**
+ * @param {{ element: Element, clock: import('three').Clock, onFrame: () => void }} options
+ * @returns {{ dispose: () => void }}
+ */
+export const createFrameLoop = ({ element, clock, onFrame }) => {
+  let frameId = null;
+  let onScreen = true;
+  let disposed = false;
+
+  const frame = () => {
+    frameId = requestAnimationFrame(frame);
+    onFrame();
+  };
+
+  const update = () => {
+    const visible = !disposed && onScreen && !document.hidden;
+
+    if (visible && frameId === null) {
+      // start() resets the elapsed time, so carry it over
+      const { elapsedTime } = clock;
+      clock.start();
+      clock.elapsedTime = elapsedTime;
+      frame();
+    } else if (!visible && frameId !== null) {
+      cancelAnimationFrame(frameId);
+      frameId = null;
+      clock.stop();
+    }
+  };
+
+  const observer = new IntersectionObserver((entries) => {
+    onScreen = entries[entries.length - 1].isIntersecting;
+    update();
+  });
+  observer.observe(element);
+  document.addEventListener('visibilitychange', update);
+
+  update();
+
+  return {
+    dispose() {
+      disposed = true;
+      update();
+      observer.disconnect();
+      document.removeEventListener('visibilitychange', update);
+    },
+  };
+};
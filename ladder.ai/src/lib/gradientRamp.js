@@ -0,0 +1,217 @@
+/**
+ * Colour ramps: 1D gradient textures the particle shaders look colours up in.
+ *
+ * A ramp is either a list of CSS-style colour stops or the URL of an image
+ * whose middle row is the gradient (e.g. a PNG exported from a design
+ * tool). Stops follow CSS gradient rules and are interpolated in sRGB like
+ * a CSS gradient, so a ramp looks the same on the dots as in the browser:
+ *
+ *   ['#8B0000', '#FF4500', '#FFD700']          evenly spaced
+ *   ['#AA2727 0%', '#E7593F 60%', '#FFAA00']   positioned
+ *   [{ color: '#000', at: 0 }, { color: 'hotpink', at: 0.8 }]
+ *   '/ramps/fire.png'
+ *
+ * Ramps are baked into RAMP_SIZE texels of sRGB bytes; the texture is
+ * marked sRGB, so the GPU hands the shaders linear colours like any
+ * colour uniform. Shaders that sample a ramp must encode their output
+ * again (`#include <colorspace_fragment>` after writing gl_FragColor), or
+ * every stop comes out darker than written.
+ */
+
+import * as THREE from 'three';
+
+export const RAMP_SIZE = 256;
+
+/**
+ * @typedef {(string | { color: string, at?: number })[] | string} Ramp
+ */
+
+// "<colour> <position>%"
+const STOP_WITH_POSITION = /^(.*\S)\s+(-?\d*\.?\d+)%$/;
+
+// Image URLs are the only ramps given as a plain string
+export const isRampImage = (ramp) => typeof ramp === 'string';
+
+/**
+ * Reads colour stops into { rgb, at } in sRGB, with every position filled
+ * in: the first and last stop default to 0 and 1, unpositioned stops are
+ * spread evenly between their neighbours, and positions never go back.
+ */
+export const parseStops = (ramp) => {
+  if (!Array.isArray(ramp) || ramp.length === 0) {
+    throw new Error('A colour ramp needs at least one colour stop');
+  }
+
+  const stops = ramp.map((stop) => {
+    if (typeof stop !== 'string') return { color: stop.color, at: stop.at };
+    const match = stop.trim().match(STOP_WITH_POSITION);
+    return match ? { color: match[1], at: Number(match[2]) / 100 } : { color: stop.trim(), at: undefined };
+  });
+
+  stops[0].at ??= 0;
+  stops[stops.length - 1].at ??= 1;
+  let known = 0;
+  for (let i = 1; i < stops.length; i++) {
+    if (stops[i].at === undefined) continue;
+    stops[i].at = Math.max(stops[i].at, stops[known].at);
+    for (let j = known + 1; j < i; j++) {
+      stops[j].at = stops[known].at + ((stops[i].at - stops[known].at) * (j - known)) / (i - known);
+    }
+    known = i;
+  }
+
+  const rgb = new THREE.Color();
+  return stops.map(({ color, at }) => {
+    new THREE.Color(color).getRGB(rgb, THREE.SRGBColorSpace);
+    return { rgb: [rgb.r, rgb.g, rgb.b], at };
+  });
+};
+
+/**
+ * Bakes colour stops into RAMP_SIZE RGBA texels (sRGB bytes).
+ *
+ * @param {Exclude<Ramp, string>} ramp
+ * @returns {Uint8Array}
+ */
+export const createRampData = (ramp) => {
+  const stops = parseStops(ramp);
+  const data = new Uint8Array(RAMP_SIZE * 4);
+  let segment = 0;
+
+  for (let i = 0; i < RAMP_SIZE; i++) {
+    const t = i / (RAMP_SIZE - 1);
+    while (segment < stops.length - 2 && t > stops[segment + 1].at) segment++;
+
+    const from = stops[segment];
+    const to = stops[Math.min(segment + 1, stops.length - 1)];
+    const span = to.at - from.at;
+    // Equal positions make a hard edge
+    const f = span > 0 ? THREE.MathUtils.clamp((t - from.at) / span, 0, 1) : Number(t >= to.at);
+
+    for (let c = 0; c < 3; c++) {
+      data[i * 4 + c] = Math.round(THREE.MathUtils.lerp(from.rgb[c], to.rgb[c], f) * 255);
+    }
+    data[i * 4 + 3] = 255;
+  }
+
+  return data;
+};
+
+// Image ramps by URL, each loaded once
+const rampImages = new Map();
+
+// The image's middle row, stretched or squeezed to RAMP_SIZE texels
+const loadRampImage = async (url) => {
+  const image = await new THREE.ImageLoader().loadAsync(url);
+  const canvas = document.createElement('canvas');
+  canvas.width = RAMP_SIZE;
+  canvas.height = 1;
+
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, Math.floor(image.height / 2), image.width, 1, 0, 0, RAMP_SIZE, 1);
+  return new Uint8Array(ctx.getImageData(0, 0, RAMP_SIZE, 1).data);
+};
+
+/**
+ * Texel data for any ramp; images are fetched on first use.
+ *
+ * @param {Ramp} ramp
+ * @returns {Promise<Uint8Array>}
+ */
+export const loadRamp = async (ramp) => {
+  if (!isRampImage(ramp)) return createRampData(ramp);
+
+  if (!rampImages.has(ramp)) {
+    rampImages.set(ramp, loadRampImage(ramp).catch((error) => {
+      // A failed load is retried the next time the ramp is used
+      rampImages.delete(ramp);
+      throw new Error(`Could not load the colour ramp "${ramp}": ${error.message ?? error.type}`);
+    }));
+  }
+  return rampImages.get(ramp);
+};
+
+/**
+ * A texture for the shaders' `sampleRamp`; update it with `writeRamp`.
+ *
+ * @param {Uint8Array} data - RAMP_SIZE texels of sRGB RGBA bytes
+ */
+export const createRampTexture = (data) => {
+  const texture = new THREE.DataTexture(data.slice(), RAMP_SIZE, 1, THREE.RGBAFormat, THREE.UnsignedByteType);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.generateMipmaps = false;
+  texture.needsUpdate = true;
+  return texture;
+};
+
+export const writeRamp = (texture, data) => {
+  texture.image.data.set(data);
+  texture.needsUpdate = true;
+};
+
+/**
+ * Mixes two ramps texel by texel in linear light, the way the shader
+ * mixes two samples, into `out`.
+ */
+export const mixRampData = (from, to, t, out) => {
+  const a = new THREE.Color();
+  const b = new THREE.Color();
+  for (let i = 0; i < out.length; i += 4) {
+    a.setRGB(from[i] / 255, from[i + 1] / 255, from[i + 2] / 255, THREE.SRGBColorSpace);
+    b.setRGB(to[i] / 255, to[i + 1] / 255, to[i + 2] / 255, THREE.SRGBColorSpace);
+    a.lerp(b, t).getRGB(a, THREE.SRGBColorSpace);
+    out[i] = Math.round(a.r * 255);
+    out[i + 1] = Math.round(a.g * 255);
+    out[i + 2] = Math.round(a.b * 255);
+    out[i + 3] = 255;
+  }
+  return out;
+};
+
+/**
+ * The colour at `t` (0..1) of baked ramp data, for drawing without WebGL.
+ */
+export const sampleRampData = (data, t, out) => {
+  const i = Math.round(THREE.MathUtils.clamp(t, 0, 1) * (RAMP_SIZE - 1)) * 4;
+  return out.setRGB(data[i] / 255, data[i + 1] / 255, data[i + 2] / 255, THREE.SRGBColorSpace);
+};
+
+/**
+ * The wave colouring of a three-colour palette (deep, mid, highlight) as
+ * stops: deep to mid across the elevation, with the highlight mixed into
+ * the top quarter. Mixed in sRGB like the stops themselves, so the
+ * palette colours show exactly as written.
+ *
+ * @param {[string, string, string]} palette
+ */
+export const paletteRamp = ([deep, mid, highlight]) => {
+  const [from, to, top] = [deep, mid, highlight].map((color) => new THREE.Color(color).getRGB({}, THREE.SRGBColorSpace));
+  const color = new THREE.Color();
+  const mix = THREE.MathUtils.lerp;
+  return Array.from({ length: 17 }, (_, i) => {
+    const t = i / 16;
+    const lift = THREE.MathUtils.smoothstep(t, 0.75, 1) * 0.6;
+    color.setRGB(
+      mix(mix(from.r, to.r, t), top.r, lift),
+      mix(mix(from.g, to.g, t), top.g, lift),
+      mix(mix(from.b, to.b, t), top.b, lift),
+      THREE.SRGBColorSpace
+    );
+    return { color: `#${color.getHexString()}`, at: t };
+  });
+};
+
+// ========================================
+// GLSL: ramp lookup
+// ========================================
+export const RAMP_GLSL = `
+  #define RAMP_SIZE ${RAMP_SIZE}.0
+
+  // Texel centres, so 0 and 1 land exactly on the first and last stop
+  vec3 sampleRamp(sampler2D ramp, float t) {
+    float x = (clamp(t, 0.0, 1.0) * (RAMP_SIZE - 1.0) + 0.5) / RAMP_SIZE;
+    return texture2D(ramp, vec2(x, 0.5)).rgb;
+  }
+`;
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { createRampData, paletteRamp, parseStops, RAMP_SIZE } from './gradientRamp';
+
+const positions = (ramp) => parseStops(ramp).map(({ at }) => at);
+
+// The RGB bytes of one texel
+const texel = (data, i) => Array.from(data.slice(i * 4, i * 4 + 3));
+
+describe('parseStops', () => {
+  it('spreads unpositioned stops evenly from 0 to 1', () => {
+    expect(positions(['#000', '#fff'])).toEqual([0, 1]);
+    expect(positions(['#000', '#888', '#fff'])).toEqual([0, 0.5, 1]);
+  });
+
+  it('reads "<colour> <position>%" and { color, at } stops', () => {
+    expect(positions(['#000 10%', ' #888  60% ', { color: '#fff', at: 0.9 }])).toEqual([0.1, 0.6, 0.9]);
+    expect(positions(['#000 -5%', '#fff 120.5%'])).toEqual([-0.05, 1.205]);
+  });
+
+  it('spreads unpositioned stops evenly between their positioned neighbours', () => {
+    const at = positions(['#000 20%', '#111', '#222', '#333 80%', '#444']);
+    expect(at[1]).toBeCloseTo(0.4);
+    expect(at[2]).toBeCloseTo(0.6);
+    expect(at).toEqual([0.2, at[1], at[2], 0.8, 1]);
+  });
+
+  it('never lets a position go back', () => {
+    expect(positions(['#000 50%', '#888 20%', '#fff'])).toEqual([0.5, 0.5, 1]);
+    expect(positions(['#000', '#888', '#fff 0%', '#000'])).toEqual([0, 0, 0, 1]);
+  });
+
+  it('puts a single stop at 0', () => {
+    expect(positions(['#f00'])).toEqual([0]);
+  });
+
+  it('returns the colours as sRGB components', () => {
+    const [stop] = parseStops(['#FF8000']);
+    expect(stop.rgb[0]).toBeCloseTo(1);
+    expect(stop.rgb[1]).toBeCloseTo(128 / 255);
+    expect(stop.rgb[2]).toBe(0);
+    for (const component of parseStops([{ color: 'white' }])[0].rgb) {
+      expect(component).toBeCloseTo(1);
+    }
+  });
+
+  it('does not change the ramp it reads', () => {
+    const ramp = [{ color: '#000' }, '#fff'];
+    parseStops(ramp);
+    expect(ramp).toEqual([{ color: '#000' }, '#fff']);
+  });
+
+  it('needs at least one stop', () => {
+    expect(() => parseStops([])).toThrow('A colour ramp needs at least one colour stop');
+    expect(() => parseStops('#000')).toThrow('A colour ramp needs at least one colour stop');
+    expect(() => parseStops(undefined)).toThrow('A colour ramp needs at least one colour stop');
+  });
+});
+
+describe('createRampData', () => {
+  it('bakes RAMP_SIZE opaque texels from the first colour to the last', () => {
+    const data = createRampData(['#000', '#fff']);
+    expect(data).toHaveLength(RAMP_SIZE * 4);
+    expect(texel(data, 0)).toEqual([0, 0, 0]);
+    expect(texel(data, RAMP_SIZE - 1)).toEqual([255, 255, 255]);
+    expect(data.filter((_, i) => i % 4 === 3).every((alpha) => alpha === 255)).toBe(true);
+  });
+
+  it('interpolates in sRGB, like a CSS gradient', () => {
+    const data = createRampData(['#000', '#fff']);
+    const [r] = texel(data, 128);
+    expect(r).toBe(128);
+  });
+
+  it('holds the end colours outside the stops', () => {
+    const data = createRampData(['#f00 25%', '#00f 75%']);
+    expect(texel(data, 0)).toEqual([255, 0, 0]);
+    expect(texel(data, 60)).toEqual([255, 0, 0]);
+    expect(texel(data, 200)).toEqual([0, 0, 255]);
+    expect(texel(data, RAMP_SIZE - 1)).toEqual([0, 0, 255]);
+  });
+
+  it('makes a hard edge where two stops share a position', () => {
+    const data = createRampData(['#f00', '#f00 50%', '#00f 50%', '#00f']);
+    expect(texel(data, 127)).toEqual([255, 0, 0]);
+    expect(texel(data, 128)).toEqual([0, 0, 255]);
+  });
+
+  it('fills the whole ramp with a single colour', () => {
+    const data = createRampData(['#0f0']);
+    expect(texel(data, 0)).toEqual([0, 255, 0]);
+    expect(texel(data, RAMP_SIZE - 1)).toEqual([0, 255, 0]);
+  });
+});
+
+describe('paletteRamp', () => {
+  it('runs from the deep colour to the mid colour lifted towards the highlight', () => {
+    const ramp = paletteRamp(['#000000', '#ff0000', '#0000ff']);
+    expect(ramp[0]).toEqual({ color: '#000000', at: 0 });
+    expect(ramp.at(-1).at).toBe(1);
+    // The top quarter mixes in 60% of the highlight
+    expect(ramp.at(-1).color).toBe('#660099');
+    expect(() => createRampData(ramp)).not.toThrow();
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * The look of the morphing field: the numbers the particle shaders used to
+ * hard-code, as uniforms that can be tuned without touching GLSL.
+ *
+ * A look is a flat object of numbers so it can go straight into a tweak
+ * panel and localStorage; scene presets (lib/preset) store it in sections.
+ * Partial looks are completed from DEFAULT_LOOK.
+ */
+
+export const DEFAULT_LOOK = {
+  // Wave sheet: six layered sine waves, frequency in 1 / world units
+  waveFrequency1: 0.02,
+  waveFrequency2: 0.04,
+  waveFrequency3: 0.08,
+  waveFrequency4: 0.03,
+  waveFrequency5: 0.025,
+  waveFrequency6: 0.035,
+  waveAmplitude1: 8,
+  waveAmplitude2: 6,
+  waveAmplitude3: 4,
+  waveAmplitude4: 7,
+  waveAmplitude5: 5,
+  waveAmplitude6: 4.5,
+  // Surfaces: noise field scale, and the defaults for stages without their own
+  noiseScale: 0.12,
+  displacement: 3,
+  spin: 0.3,
+  // Dot size on the wave, and how much larger they are on a surface
+  pointSize: 4,
+  surfacePointScale: 80,
+  // Scroll flicks: how far the dots scatter and how much they blur per unit
+  // of morph progress per second
+  velocityScatter: 3,
+  velocityBlur: 0.5,
+};
+
+export const WAVE_COUNT = 6;
+
+/**
+ * Panel metadata for every look key, in display order.
+ *
+ * @type {{ key: keyof DEFAULT_LOOK, label: string, min: number, max: number, step: number }[]}
+ */
+export const LOOK_CONTROLS = [
+  ...Array.from({ length: WAVE_COUNT }, (_, i) => ({
+    key: `waveFrequency${i + 1}`,
+    label: `Wave ${i + 1} frequency`,
+    min: 0,
+    max: 0.2,
+    step: 0.001,
+  })),
+  ...Array.from({ length: WAVE_COUNT }, (_, i) => ({
+    key: `waveAmplitude${i + 1}`,
+    label: `Wave ${i + 1} amplitude`,
+    min: 0,
+    max: 20,
+    step: 0.1,
+  })),
+  { key: 'noiseScale', label: 'Noise scale', min: 0, max: 0.5, step: 0.005 },
+  { key: 'displacement', label: 'Displacement', min: 0, max: 10, step: 0.1 },
+  { key: 'spin', label: 'Spin', min: 0, max: 2, step: 0.01 },
+  { key: 'pointSize', label: 'Point size', min: 0.5, max: 12, step: 0.1 },
+  { key: 'surfacePointScale', label: 'Surface point scale', min: 10, max: 200, step: 1 },
+  { key: 'velocityScatter', label: 'Velocity scatter', min: 0, max: 20, step: 0.1 },
+  { key: 'velocityBlur', label: 'Velocity blur', min: 0, max: 3, step: 0.05 },
+];
+
+// Fills in the defaults and drops anything that is not a look number
+export const resolveLook = (look = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_LOOK).map(([key, fallback]) => [
+    key,
+    Number.isFinite(look[key]) ? look[key] : fallback,
+  ])
+);
+
+/**
+ * Writes a resolved look into the particle uniforms.
+ */
+export const setLookUniforms = (uniforms, look) => {
+  for (let i = 0; i < WAVE_COUNT; i++) {
+    uniforms.uWaveFrequency.value[i] = look[`waveFrequency${i + 1}`];
+    uniforms.uWaveAmplitude.value[i] = look[`waveAmplitude${i + 1}`];
+  }
+  uniforms.uNoiseScale.value = look.noiseScale;
+  uniforms.uPointSize.value = look.pointSize;
+  uniforms.uSurfacePointScale.value = look.surfacePointScale;
+  uniforms.uVelocityScatter.value = look.velocityScatter;
+  uniforms.uVelocityBlur.value = look.velocityBlur;
+};
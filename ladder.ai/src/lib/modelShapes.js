@@ -0,0 +1,127 @@
+/**
+ * Mesh files (.glb / .gltf / .obj) as particle targets.
+ *
+ * Every mesh in the file is flattened into one world-space surface, centred
+ * and scaled to a unit bounding sphere, and cached per URL so several stages
+ * or components can share one download. Points are then sampled with area
+ * weighting and keep the interpolated surface normal, so the noise
+ * displacement and pointer push work on the model like on the sphere.
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { MeshSurfaceSampler } from 'three/addons/math/MeshSurfaceSampler.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { orderLikeGrid } from './pointOrder';
+
+const surfaceCache = new Map();
+
+const getModelFormat = (url, format) => {
+  if (format) return format;
+
+  const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  if (extension === 'glb' || extension === 'gltf') return 'gltf';
+  if (extension === 'obj') return 'obj';
+
+  throw new Error(`Cannot tell the model format of "${url}"; pass format: 'gltf' or 'obj'`);
+};
+
+const loadModelObject = async (url, format) => {
+  if (format === 'gltf') {
+    const gltf = await new GLTFLoader().loadAsync(url);
+    return gltf.scene;
+  }
+  return new OBJLoader().loadAsync(url);
+};
+
+// Bakes every mesh into one non-indexed world-space geometry with normals
+const mergeMeshes = (root) => {
+  root.updateMatrixWorld(true);
+
+  const parts = [];
+  root.traverse((child) => {
+    if (!child.isMesh) return;
+
+    const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry.clone();
+    Object.keys(geometry.attributes).forEach((name) => {
+      if (name !== 'position' && name !== 'normal') geometry.deleteAttribute(name);
+    });
+    geometry.morphAttributes = {};
+    if (!geometry.attributes.normal) geometry.computeVertexNormals();
+    geometry.applyMatrix4(child.matrixWorld);
+    parts.push(geometry);
+  });
+
+  if (parts.length === 0) {
+    throw new Error('Model contains no meshes to sample');
+  }
+
+  const merged = mergeGeometries(parts, false);
+  parts.forEach((part) => part.dispose());
+  return merged;
+};
+
+// Centres the surface and scales it to a bounding sphere of radius 1
+const normalizeSurface = (geometry) => {
+  geometry.computeBoundingSphere();
+  const { center, radius } = geometry.boundingSphere;
+  geometry.translate(-center.x, -center.y, -center.z);
+  geometry.scale(1 / radius, 1 / radius, 1 / radius);
+  return geometry;
+};
+
+/**
+ * Loads a model once and resolves to its unit-sized surface geometry.
+ */
+export const loadModelSurface = (url, format) => {
+  const resolvedFormat = getModelFormat(url, format);
+  const key = `${resolvedFormat}:${url}`;
+
+  if (!surfaceCache.has(key)) {
+    const surface = loadModelObject(url, resolvedFormat)
+      .then(mergeMeshes)
+      .then(normalizeSurface);
+    // A failed load should be retried next time, not cached
+    surface.catch(() => surfaceCache.delete(key));
+    surfaceCache.set(key, surface);
+  }
+
+  return surfaceCache.get(key);
+};
+
+/**
+ * Area-weighted samples of a surface, scaled to `radius`.
+ */
+export const sampleSurface = (geometry, count, radius) => {
+  const sampler = new MeshSurfaceSampler(new THREE.Mesh(geometry)).build();
+  const positions = new Float32Array(count * 3);
+  const normals = new Float32Array(count * 3);
+  const position = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+
+  for (let i = 0; i < count; i++) {
+    sampler.sample(position, normal);
+    position.multiplyScalar(radius).toArray(positions, i * 3);
+    normal.normalize().toArray(normals, i * 3);
+  }
+
+  return { positions, normals };
+};
+
+/**
+ * Model shape generator.
+ *
+ * Options: `url` (local .glb / .gltf / .obj file), `format` when the URL
+ * has no telling extension, and `radius` of the fitted bounding sphere
+ * (default 18).
+ */
+export const modelShape = async (grid, { url, format, radius = 18 } = {}) => {
+  if (!url) {
+    throw new Error('The "model" shape needs a `url` option');
+  }
+
+  const surface = await loadModelSurface(url, format);
+  const { positions, normals } = sampleSurface(surface, grid.count, radius);
+  return orderLikeGrid(positions, normals, grid);
+};
@@ -0,0 +1,23 @@
+/**
+ * Defaults shared by the WebGL morph and its 2D fallback.
+ */
+
+export const DEFAULT_COLORS = ['#420000', '#FF0F00', '#FFAD00'];
+
+export const DEFAULT_WAVE_CAMERA = {
+  position: [0, 30, 60],
+  lookAt: [0, 15, 0],
+  up: [0, -1, 0],
+};
+
+export const DEFAULT_SPHERE_CAMERA = {
+  position: [0, 0, 55],
+  lookAt: [0, 0, 0],
+  up: [0, 1, 0],
+};
+
+// The original two-state timeline: wave sheet -> sphere
+export const createDefaultStages = (sphereRadius, sphereDistribution = 'uv') => [
+  { name: 'wave', shape: 'wave' },
+  { name: 'sphere', shape: 'sphere', radius: sphereRadius, distribution: sphereDistribution },
+];
@@ -0,0 +1,848 @@
+/**
+ * The morphing particle field: the wave -> sphere (or any stage timeline)
+ * morph with its pointer bulge, shockwaves and spring physics, independent
+ * of who renders it.
+ *
+ * Dots bulge away from up to four pointers at once (lib/pointers) and
+ * every press sends a shockwave ring out (lib/ripples); with `physics` the
+ * push runs through a GPU spring simulation (lib/particlePhysics), so dots
+ * overshoot on the way back. The progress eases along on a spring
+ * (lib/spring) and fast flicks scatter and blur the dots (lib/look).
+ *
+ * With reduced motion, time slows to a crawl, drift and the bulge stop,
+ * and the progress jumps straight between stages instead of morphing
+ * through them.
+ *
+ * `createMorphField` returns the Points object and an `update()` to call
+ * once per frame with the camera and renderer drawing it. The standalone
+ * MorphingWaveToSphere runs it on its own ParticleField host; MorphingPoints
+ * runs it inside any React Three Fiber canvas.
+ */
+
+import * as THREE from 'three';
+import { blendCameraPose, getStagePose } from './cameraPose';
+import { ROTATION_GLSL, SIMPLEX_NOISE_GLSL } from './glsl';
+import { RAMP_GLSL } from './gradientRamp';
+import { createParticleField } from './particleField';
+import { createParticlePhysics, getSimulationSize, isPhysicsSupported } from './particlePhysics';
+import { createPointerTracker, pointerToNdc } from './pointers';
+import { DEFAULT_RIPPLE, createRipples } from './ripples';
+import { createShapeGrid, createShapeTarget } from './shapes';
+import { createSpring } from './spring';
+import { DEFAULT_LOOK, WAVE_COUNT, resolveLook, setLookUniforms } from './look';
+import { DEFAULT_THEME, createThemeBlend, createThemeRamps, getTheme, hasRampImage, loadThemeRamps } from './themes';
+import { getEasing, getNearestStop, getStageSegment, getStageStops } from './timeline';
+import { TRAJECTORY_GLSL, getTrajectory, setTrajectory } from './trajectories';
+import { REDUCED_MOTION_TIME_SCALE } from '../hooks/useReducedMotion';
+
+// Simultaneous pointers (mouse, fingers, pens) the bulge follows
+const MAX_POINTERS = 4;
+// Click / tap shockwaves alive at once
+const MAX_RIPPLES = 6;
+
+// ========================================
+// SHARED GLSL: morph target
+// Everything up to the pointer and ripple displacement. The particle
+// shader and the physics target pass both build on it, so the simulation
+// springs towards exactly the position the dots are drawn at.
+// ========================================
+const MORPH_TARGET_GLSL = `
+  uniform float uTime;
+  uniform float uScroll; // Progress of the morph between the current stage pair
+  // x: 1.0 for the wave sheet, y: noise displacement, z: spin speed
+  uniform vec3 uFromState;
+  uniform vec3 uToState;
+  uniform vec2 uTrajectory; // Path into the "to" stage, see lib/trajectories
+  uniform vec3 uAudio; // Audio band levels: x bass, y mids, z highs (0 without audio)
+  // Look parameters, see lib/look
+  #define WAVE_COUNT ${WAVE_COUNT}
+  uniform float uWaveFrequency[WAVE_COUNT];
+  uniform float uWaveAmplitude[WAVE_COUNT];
+  uniform float uNoiseScale;
+
+  attribute vec3 aFromPosition;
+  attribute vec3 aFromNormal;
+  attribute vec3 aToPosition;
+  attribute vec3 aToNormal;
+  attribute float aDelay;
+  attribute float aRandom;
+
+  ${ROTATION_GLSL}
+
+  ${SIMPLEX_NOISE_GLSL}
+
+  ${TRAJECTORY_GLSL}
+
+  // === WAVE STATE ===
+  vec3 waveState(vec3 pos, out float elevation) {
+    // SLOWER, SMOOTHER WAVE MOTION
+    // Reduced frequencies and time multipliers
+    // Bass swells the amplitudes
+    float bass = 1.0 + uAudio.x;
+    float wave1 = sin(pos.y * uWaveFrequency[0] + uTime * 0.8) * uWaveAmplitude[0] * bass;
+    float wave2 = sin(pos.y * uWaveFrequency[1] - uTime * 0.6) * uWaveAmplitude[1] * bass;
+    float wave3 = sin(pos.y * uWaveFrequency[2] + uTime * 1.0) * uWaveAmplitude[2] * bass;
+    float wave4 = sin(pos.x * uWaveFrequency[3] - uTime * 0.5) * uWaveAmplitude[3] * bass;
+    float wave5 = sin((pos.x + pos.y) * uWaveFrequency[4] + uTime * 0.4) * uWaveAmplitude[4] * bass;
+    // Runs diagonally; the frequency is measured along X
+    float wave6 = cos((pos.x - pos.y * 0.5714) * uWaveFrequency[5] + uTime * 0.7) * uWaveAmplitude[5] * bass;
+    
+    // Reduced detail noise for smoother look
+    float detail1 = sin(pos.x * 0.1 + pos.y * 0.08 + uTime * 1.2) * 1.5;
+    
+    elevation = wave1 + wave2 + wave3 + wave4 + wave5 + wave6 + detail1;
+    
+    vec3 wavePos = pos;
+    wavePos.z += elevation;
+
+    // Apply the SHEET ROTATION here in the shader
+    return rotateX(-3.14159 / 2.2) * wavePos;
+  }
+
+  // === SURFACE STATE (sphere, torus, starfield, models...) ===
+  vec3 surfaceState(vec3 pos, vec3 normal, float displacement, float spin, out float noise, out vec3 surfaceNormal) {
+    // FASTER, MORE FLUID NOISE for sphere (to fix "laggy" feel)
+    // Increased time multiplier from 0.15 to 0.8
+    noise = snoise(pos * uNoiseScale + uTime * 0.8);
+    // Mids push the noise further out
+    vec3 surfacePos = pos + normal * noise * displacement * (1.0 + uAudio.y);
+    
+    // FASTER sphere spin (to fix "laggy" feel)
+    // Increased speed from 0.08 to 0.3
+    mat3 spinMatrix = rotateY(uTime * spin);
+    surfaceNormal = spinMatrix * normal;
+    return spinMatrix * surfacePos;
+  }
+
+  // Position of one end of the morph, plus the values that drive its colour
+  // and the direction the pointer pushes it in
+  vec3 stageState(vec3 pos, vec3 normal, vec3 state, out float elevation, out float noise, out vec3 pushDir) {
+    if (state.x > 0.5) {
+      noise = 0.0;
+      pushDir = vec3(0.0, 0.0, 1.0); // Push up for wave
+      return waveState(pos, elevation);
+    }
+    vec3 surfacePos = surfaceState(pos, normal, state.y, state.z, noise, pushDir);
+    elevation = noise * 30.0;
+    return surfacePos;
+  }
+
+  // The morphed position of this particle, how far its own staggered morph
+  // has come, and the direction the pointer pushes it in
+  vec3 morphTarget(out float localProgress, out float elevation, out float noise, out vec3 pushDir) {
+    float fromElevation, fromNoise, toElevation, toNoise;
+    vec3 fromPush, toPush;
+    vec3 fromPos = stageState(aFromPosition, aFromNormal, uFromState, fromElevation, fromNoise, fromPush);
+    vec3 toPos = stageState(aToPosition, aToNormal, uToState, toElevation, toNoise, toPush);
+
+    // === STAGGERED TRANSITION ===
+    // Smoother transition curve
+    float adjustedScroll = uScroll * 1.8 - aDelay; 
+    localProgress = clamp(adjustedScroll, 0.0, 1.0);
+    
+    // Cubic easing for extra smoothness
+    localProgress = localProgress * localProgress * (3.0 - 2.0 * localProgress);
+
+    elevation = mix(fromElevation, toElevation, localProgress);
+    noise = mix(fromNoise, toNoise, localProgress);
+
+    // Push particles along the surface normal (outward on the sphere,
+    // off the skin of a model), and simply up while on the wave
+    pushDir = normalize(mix(fromPush, toPush, localProgress) + vec3(0.0, 0.0, 1e-4));
+
+    return trajectoryPath(fromPos, toPos, localProgress, aRandom, uTrajectory);
+  }
+`;
+
+// Renders every particle's morph target into its texel of the physics
+// target texture
+const PHYSICS_TARGET_SHADER = `
+  ${MORPH_TARGET_GLSL}
+
+  attribute vec2 aSimUv;
+
+  varying vec3 vTarget;
+
+  void main() {
+    float localProgress, elevation, noise;
+    vec3 pushDir;
+    vTarget = morphTarget(localProgress, elevation, noise, pushDir);
+
+    gl_Position = vec4(aSimUv * 2.0 - 1.0, 0.0, 1.0);
+    gl_PointSize = 1.0;
+  }
+`;
+
+// ========================================
+// PARTICLE SHADERS
+// ========================================
+const MORPH_VERTEX_SHADER = `
+  #define MAX_POINTERS ${MAX_POINTERS}
+  uniform vec3 uPointers[MAX_POINTERS];
+  uniform float uPointerStrength; // 0 switches the bulge off (reduced motion)
+  #define MAX_RIPPLES ${MAX_RIPPLES}
+  uniform vec4 uRipples[MAX_RIPPLES];
+  uniform vec3 uRipple; // x: strength, y: speed (NDC units / s), z: lifetime (s)
+  uniform float uAspect;
+  uniform sampler2D uOffsets;
+  uniform float uPhysics; // 1 while the spring simulation moves the dots instead of the bulge
+  uniform float uPointSize;
+  uniform float uSurfacePointScale;
+  uniform float uScrollVelocity; // Progress per second of the eased morph
+  uniform float uVelocityScatter;
+  uniform float uVelocityBlur;
+  
+  attribute float aFromVisible;
+  attribute float aToVisible;
+  attribute vec2 aSimUv;
+  
+  varying float vElevation;
+  varying float vDistance;
+  varying float vMorphProgress;
+  varying float vNoise;
+  varying float vVisible;
+  varying float vBlur;
+
+  ${MORPH_TARGET_GLSL}
+
+  void main() {
+    float localProgress, elevation, noise;
+    vec3 repulsionDir;
+    vec3 finalPos = morphTarget(localProgress, elevation, noise, repulsionDir);
+    
+    // 0 while the dot looks like the wave sheet, 1 once it is on a surface
+    float surfaceAmount = mix(1.0 - uFromState.x, 1.0 - uToState.x, localProgress);
+    vMorphProgress = surfaceAmount;
+    
+    // === POINTER INTERACTION (Repulsion) ===
+    // Project finalPos to Clip Space to get NDC
+    vec4 clipPos = projectionMatrix * modelViewMatrix * vec4(finalPos, 1.0);
+    vec2 ndc = clipPos.xy / clipPos.w;
+    
+    // Strongest bulge of all pointers, so overlapping ones do not stack
+    float repulsion = 0.0;
+    for (int i = 0; i < MAX_POINTERS; i++) {
+      // Calculate distance to the pointer in screen space
+      float dist = distance(ndc, uPointers[i].xy);
+      
+      // Repulsion radius (0.4 NDC units)
+      repulsion = max(repulsion, smoothstep(0.4, 0.0, dist) * uPointers[i].z);
+    }
+    
+    // Apply repulsion
+    finalPos += repulsionDir * repulsion * 5.0 * uPointerStrength * (1.0 - uPhysics); // 5.0 unit displacement
+    
+    // Or let the simulation's springs carry the dots
+    finalPos += texture2D(uOffsets, aSimUv).xyz * uPhysics;
+    
+    // === SHOCKWAVES ===
+    // Rings spreading from each click / tap in screen space, round
+    // whatever the aspect ratio, pushing along the same direction
+    float shock = 0.0;
+    for (int i = 0; i < MAX_RIPPLES; i++) {
+      vec4 ripple = uRipples[i];
+      float ringDist = length((ndc - ripple.xy) * vec2(uAspect, 1.0)) - ripple.z * uRipple.y;
+      
+      // Crest just inside the front with a shallow trough behind it
+      float ring = exp(-ringDist * ringDist * 120.0) - 0.35 * exp(-(ringDist + 0.12) * (ringDist + 0.12) * 120.0);
+      float fade = 1.0 - clamp(ripple.z / uRipple.z, 0.0, 1.0);
+      shock += ring * fade * fade * ripple.w;
+    }
+    finalPos += repulsionDir * shock * uRipple.x;
+    
+    // === SCROLL VELOCITY ===
+    // Fast scrolling throws every dot out along its own direction and
+    // swells it into a blur; both settle as the morph comes to rest
+    float speed = min(abs(uScrollVelocity), 4.0);
+    float scatterAngle = aRandom * 6.28318;
+    float scatterZ = fract(aRandom * 43.758) * 2.0 - 1.0;
+    vec3 scatterDir = vec3(sqrt(1.0 - scatterZ * scatterZ) * vec2(cos(scatterAngle), sin(scatterAngle)), scatterZ);
+    finalPos += scatterDir * speed * uVelocityScatter;
+    vBlur = speed * uVelocityBlur;
+    
+    // === PASS VARYINGS ===
+    vElevation = elevation;
+    vNoise = noise;
+    
+    vec4 mvPosition = modelViewMatrix * vec4(finalPos, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    
+    // === POINT SIZE ===
+    float waveSize = uPointSize * (1.0 + elevation / 30.0) * (30.0 / -mvPosition.z);
+    float sphereSize = (uPointSize / -mvPosition.z) * uSurfacePointScale;
+    
+    // Particles a shape has no room for shrink away instead of stacking up
+    vVisible = mix(aFromVisible, aToVisible, localProgress);
+    // Highs make the dots bigger (and brighter, below)
+    gl_PointSize = mix(waveSize, sphereSize, surfaceAmount) * vVisible * (1.0 + uAudio.z * 0.5) * (1.0 + vBlur);
+    
+    vDistance = -mvPosition.z;
+  }
+`;
+
+const MORPH_FRAGMENT_SHADER = `
+  // Colour ramps (lib/gradientRamp), cross-faded from the *From pair by uRampMix
+  uniform sampler2D uWaveRamp;
+  uniform sampler2D uSurfaceRamp;
+  uniform sampler2D uWaveRampFrom;
+  uniform sampler2D uSurfaceRampFrom;
+  uniform float uRampMix;
+  uniform float uSoftness; // 0 crisp dots .. 1 dots that fade out from the centre
+  uniform float uOpacity; // Dips during a theme's blending switch
+  uniform vec3 uAudio;
+  
+  varying float vElevation;
+  varying float vDistance;
+  varying float vMorphProgress;
+  varying float vNoise;
+  varying float vVisible;
+  varying float vBlur;
+
+  ${RAMP_GLSL}
+
+  vec3 themeColor(sampler2D fromRamp, sampler2D toRamp, float t) {
+    return mix(sampleRamp(fromRamp, t), sampleRamp(toRamp, t), uRampMix);
+  }
+
+  void main() {
+    if (vVisible < 0.01) discard;
+
+    float d = distance(gl_PointCoord, vec2(0.5));
+    if (d > 0.5) discard;
+    
+    // === WAVE COLORS ===
+    float mixStrength = (vElevation + 25.0) / 50.0;
+    mixStrength = clamp(mixStrength, 0.0, 1.0);
+    
+    vec3 waveColor = themeColor(uWaveRampFrom, uWaveRamp, mixStrength);
+    
+    // === SPHERE COLORS ===
+    float n = smoothstep(-0.4, 0.4, vNoise);
+    vec3 sphereColor = themeColor(uSurfaceRampFrom, uSurfaceRamp, n);
+    
+    // === BLEND COLORS ===
+    vec3 finalColor = mix(waveColor, sphereColor, vMorphProgress);
+    finalColor *= 1.0 + uAudio.z * 0.6;
+
+    // Distance fog
+    float fog = smoothstep(20.0, 100.0, vDistance);
+    
+    // Alpha logic
+    // Softer themes start the falloff closer to the centre; so do blurred dots
+    float softness = clamp(uSoftness + vBlur, 0.0, 1.0);
+    float waveAlpha = smoothstep(0.5, mix(0.3, 0.0, softness), d) * 0.85;
+    float sphereAlpha = 0.8 - smoothstep(mix(0.2, 0.0, softness), 0.5, d);
+    
+    // Blurred dots spread the same light over a larger area
+    float finalAlpha = mix(waveAlpha, sphereAlpha, vMorphProgress) / (1.0 + vBlur);
+    
+    gl_FragColor = vec4(finalColor, (1.0 - fog * 0.5) * finalAlpha * vVisible * uOpacity);
+    // The ramps were decoded to linear; back to the output's colour space
+    #include <colorspace_fragment>
+  }
+`;
+
+// ========================================
+// GEOMETRY: High-density plane grid
+// The grid is the particle set; every timeline stage is a target buffer
+// with one position and normal per grid point. The shader only ever mixes
+// the two stages around the current scroll position, so the active pair is
+// swapped into the aFrom* / aTo* attributes as the timeline advances.
+// Rebuilt only when a geometry prop or the stages change.
+// ========================================
+export const createMorphGeometry = async ({ width, height, segmentsX, segmentsY, stages }) => {
+  const { geometry, grid } = createShapeGrid({ width, height, segmentsX, segmentsY });
+  const { count } = grid;
+
+  // Shared by every stage that shows all of its particles
+  const allVisible = new THREE.BufferAttribute(new Float32Array(count).fill(1), 1);
+
+  // Unknown transitions fail here with the shapes instead of in the frame loop
+  stages.forEach((stage) => stage.transition && getTrajectory(stage.transition));
+
+  const shapes = await Promise.all(stages.map((stage) => createShapeTarget(grid, stage)));
+  const targets = shapes.map(({ positions, normals, visible, wave = false, spin, displacement }) => ({
+    position: new THREE.BufferAttribute(positions, 3),
+    normal: new THREE.BufferAttribute(normals, 3),
+    visible: visible ? new THREE.BufferAttribute(visible, 1) : allVisible,
+    wave,
+    spin,
+    displacement,
+  }));
+
+  const randoms = new Float32Array(count);
+  const delays = new Float32Array(count);
+  // Each particle's texel in the physics textures
+  const simulationSize = getSimulationSize(count);
+  const simUvs = new Float32Array(count * 2);
+
+  for (let i = 0; i < count; i++) {
+    const ix = i % (segmentsX + 1);
+    const iy = Math.floor(i / (segmentsX + 1));
+
+    // Random value for variation
+    randoms[i] = Math.random();
+
+    // Delay based on distance from center of the grid
+    // Center particles transition first, edges last
+    const centerX = segmentsX / 2;
+    const centerY = segmentsY / 2;
+    const distFromCenter = Math.sqrt((ix - centerX) ** 2 + (iy - centerY) ** 2);
+    const maxDist = Math.sqrt(centerX ** 2 + centerY ** 2);
+    // Smoother delay distribution
+    delays[i] = (distFromCenter / maxDist) * 0.5;
+
+    simUvs[i * 2] = ((i % simulationSize) + 0.5) / simulationSize;
+    simUvs[i * 2 + 1] = (Math.floor(i / simulationSize) + 0.5) / simulationSize;
+  }
+
+  geometry.setAttribute('aRandom', new THREE.BufferAttribute(randoms, 1));
+  geometry.setAttribute('aDelay', new THREE.BufferAttribute(delays, 1));
+  geometry.setAttribute('aSimUv', new THREE.BufferAttribute(simUvs, 2));
+
+  return { geometry, targets };
+};
+
+// Stage buffers are only uploaded while bound, so bind them all once more
+// to let geometry.dispose() release every one of them
+export const disposeMorphGeometry = (geometry, targets) => {
+  targets.forEach((target, i) => {
+    geometry.setAttribute(`aStage${i}Position`, target.position);
+    geometry.setAttribute(`aStage${i}Normal`, target.normal);
+    geometry.setAttribute(`aStage${i}Visible`, target.visible);
+  });
+  geometry.dispose();
+};
+
+// Packs a stage into the uFromState / uToState uniform layout; the look
+// fills in what neither the stage nor its shape sets
+const setStageState = (state, stage, target, look) => {
+  state.set(
+    target.wave ? 1 : 0,
+    stage.displacement ?? target.displacement ?? look.displacement,
+    stage.spin ?? target.spin ?? look.spin
+  );
+};
+
+// Points the aFrom* / aTo* attributes at the two stages being morphed
+const bindStagePair = (geometry, targets, from, to) => {
+  geometry.setAttribute('aFromPosition', targets[from].position);
+  geometry.setAttribute('aFromNormal', targets[from].normal);
+  geometry.setAttribute('aToPosition', targets[to].position);
+  geometry.setAttribute('aToNormal', targets[to].normal);
+  geometry.setAttribute('aFromVisible', targets[from].visible);
+  geometry.setAttribute('aToVisible', targets[to].visible);
+};
+
+/**
+ * @typedef {Object} MorphFieldConfig
+ * @property {import('./cameraPose').CameraPose} waveCamera
+ * @property {import('./cameraPose').CameraPose} sphereCamera
+ * @property {number} scrollResponse - Seconds the morph takes to cover 90% of a scroll jump
+ * @property {number} mouseResponse - Seconds the bulge takes to cover 90% of a pointer move
+ * @property {string} transition
+ * @property {boolean} reducedMotion
+ * @property {{ strength: number, speed: number, lifetime: number } | null} ripple
+ * @property {{ stiffness: number, damping: number } | null} physics
+ * @property {boolean} controlCamera - Whether the field moves the camera through the stage poses
+ * @property {ReturnType<typeof import('./morphProgress').createMorphProgress> | null} progress - Store the eased progress is published to every frame
+ * @property {import('./audioBands').AudioBandSettings | null} audio - Band mapping while audio is plugged in
+ */
+
+/**
+ * Creates the particles and everything that moves them. Nothing is shown
+ * until a timeline is set.
+ *
+ * @param {Object} options
+ * @param {() => MorphFieldConfig} options.getConfig - Live settings, read every frame
+ * @param {EventTarget} [options.pointerTarget=window] - Where pointers and presses are tracked
+ */
+export const createMorphField = ({ getConfig, pointerTarget = window }) => {
+  const field = createParticleField({
+    uniforms: {
+      uTime: { value: 0 },
+      uScroll: { value: 0 },
+      uScrollVelocity: { value: 0 },
+      // One per pointer slot: xy position in NDC, z strength (fades after lift)
+      uPointers: { value: Array.from({ length: MAX_POINTERS }, () => new THREE.Vector3()) },
+      uPointerStrength: { value: 1 },
+      // One per ripple slot: xy origin in NDC, z age in seconds, w 1 while alive
+      uRipples: { value: Array.from({ length: MAX_RIPPLES }, () => new THREE.Vector4()) },
+      uRipple: { value: new THREE.Vector3(DEFAULT_RIPPLE.strength, DEFAULT_RIPPLE.speed, DEFAULT_RIPPLE.lifetime) },
+      uAspect: { value: window.innerWidth / window.innerHeight },
+      uOffsets: { value: null },
+      uPhysics: { value: 0 },
+      uFromState: { value: new THREE.Vector3(1, 0, 0) },
+      uToState: { value: new THREE.Vector3(1, 0, 0) },
+      uTrajectory: { value: new THREE.Vector2() },
+      uAudio: { value: new THREE.Vector3() },
+      uWaveFrequency: { value: new Array(WAVE_COUNT).fill(0) },
+      uWaveAmplitude: { value: new Array(WAVE_COUNT).fill(0) },
+      uNoiseScale: { value: 0 },
+      uPointSize: { value: 0 },
+      uSurfacePointScale: { value: 0 },
+      uVelocityScatter: { value: 0 },
+      uVelocityBlur: { value: 0 },
+      // Filled in by the theme
+      uWaveRamp: { value: null },
+      uSurfaceRamp: { value: null },
+      uWaveRampFrom: { value: null },
+      uSurfaceRampFrom: { value: null },
+      uRampMix: { value: 1 },
+      uSoftness: { value: 0 },
+      uOpacity: { value: 1 },
+    },
+    vertexShader: MORPH_VERTEX_SHADER,
+    fragmentShader: MORPH_FRAGMENT_SHADER,
+  });
+  const { material, points: particles } = field;
+  let look = DEFAULT_LOOK;
+  setLookUniforms(material.uniforms, look);
+  const theme = createThemeBlend({ material, theme: createThemeRamps(getTheme(DEFAULT_THEME)) });
+  // The first theme set replaces the default at once instead of animating
+  let themeSet = false;
+  // Only the latest setTheme() applies, even if an earlier one loads later
+  let themeRequest = 0;
+
+  // Accumulated from frame deltas so the time scale can change without jumps
+  let elapsedTime = 0;
+  // Eased morph progress; its velocity feeds the shader too
+  const scrollSpring = createSpring();
+  let timeline = null;
+
+  // Morph progress set from code (seek / morphTo) instead of the scroll
+  // position; null follows the scroll again
+  let control = null;
+  let playing = true;
+  // Band levels from lib/audioBands, while audio is plugged in
+  let audio = null;
+
+  // Settles a running morphTo() that is replaced before it arrives
+  const releaseControl = () => {
+    control?.tween?.resolve(false);
+    control = null;
+  };
+
+  const clampProgress = (progress) => Math.min(1, Math.max(0, progress));
+
+  // Mouse, touch and pen, in NDC (-1 to +1)
+  const pointers = createPointerTracker({ maxPointers: MAX_POINTERS, target: pointerTarget });
+  const ripples = createRipples({ maxRipples: MAX_RIPPLES });
+  // Spring simulation, rebuilt with the geometry or the renderer
+  let physics = null;
+  // Renderers the simulation failed to start on; they keep the plain bulge
+  const physicsFailed = new WeakSet();
+
+  // Every press sends a shockwave out from where it landed
+  const handlePointerDown = (event) => {
+    const config = getConfig();
+    if (!config.ripple || config.reducedMotion) return;
+
+    const { x, y } = pointerToNdc(event);
+    ripples.spawn(x, y);
+  };
+  pointerTarget.addEventListener('pointerdown', handlePointerDown);
+
+  return {
+    points: particles,
+    material,
+
+    /**
+     * Shows a geometry built by `createMorphGeometry` for `stages`, and
+     * releases the previous one.
+     */
+    setTimeline({ geometry, targets }, stages) {
+      field.setGeometry(geometry, () => disposeMorphGeometry(geometry, targets));
+      timeline = {
+        targets,
+        stages,
+        stops: getStageStops(stages),
+        from: -1,
+        to: -1,
+      };
+    },
+
+    /**
+     * Applies a look (see lib/look); missing keys take the defaults.
+     */
+    setLook(next) {
+      look = resolveLook(next);
+      setLookUniforms(material.uniforms, look);
+      // Re-packs the stage states with the new displacement and spin defaults
+      if (timeline) timeline.from = -1;
+    },
+
+    /**
+     * Moves to a theme (see lib/themes) over `duration` seconds. Gradient
+     * stops apply at once; image ramps load first. The promise rejects
+     * when an image ramp fails to load, and the theme on screen stays.
+     *
+     * @param {import('./themes').Theme} next
+     * @param {number} [duration=0]
+     * @returns {Promise<void>}
+     */
+    setTheme(next, duration = 0) {
+      const request = ++themeRequest;
+      const apply = (resolved) => {
+        if (request !== themeRequest) return;
+        theme.set(resolved, themeSet ? duration : 0);
+        themeSet = true;
+      };
+
+      if (!hasRampImage(next)) {
+        // Bad colour stops reject like a failed image, never throw
+        try {
+          apply(createThemeRamps(next));
+        } catch (error) {
+          return Promise.reject(error);
+        }
+        return Promise.resolve();
+      }
+      return loadThemeRamps(next).then(apply);
+    },
+
+    // CSS background of the current theme, for whoever owns the canvas
+    get background() {
+      return theme.background;
+    },
+
+    /**
+     * Advances the field by one frame.
+     *
+     * @param {Object} frame
+     * @param {number} frame.delta - Seconds since the previous frame
+     * @param {number} frame.scroll - Scroll progress the morph eases towards
+     * @param {THREE.PerspectiveCamera} frame.camera - Camera drawing the field
+     * @param {THREE.WebGLRenderer} frame.renderer - Renderer drawing the field, for the physics
+     */
+    update({ delta, scroll: scrollTarget, camera, renderer }) {
+      const config = getConfig();
+      if (playing) {
+        elapsedTime += delta * (config.reducedMotion ? REDUCED_MOTION_TIME_SCALE : 1);
+      }
+      material.uniforms.uAspect.value = camera.aspect;
+      // Theme changes finish even while paused
+      theme.update(delta);
+
+      const tween = control?.tween;
+      if (tween && playing) {
+        tween.elapsed += delta;
+        const t = config.reducedMotion || tween.duration <= 0 ? 1 : Math.min(1, tween.elapsed / tween.duration);
+        control.progress = tween.from + (tween.to - tween.from) * tween.easing(t);
+        if (t === 1) {
+          control.tween = null;
+          tween.resolve(true);
+        }
+      }
+
+      if (!timeline) {
+        // Camera setup - starts looking at the wave from above
+        if (config.controlCamera) {
+          blendCameraPose(camera, config.waveCamera, config.waveCamera, 0);
+        }
+        return;
+      }
+
+      const target = control ? control.progress : scrollTarget;
+      if (control && !config.reducedMotion) {
+        // Code-driven progress is already eased; a running tween still moves
+        const velocity = tween && delta > 0 ? (control.progress - scrollSpring.value) / delta : 0;
+        scrollSpring.jump(control.progress, velocity);
+      } else if (config.reducedMotion) {
+        // Jump straight to the nearest stage instead of easing through the morph
+        scrollSpring.jump(getNearestStop(timeline.stops, target));
+      } else {
+        // Same speed at any frame rate
+        scrollSpring.update(target, delta, config.scrollResponse);
+      }
+      const scroll = scrollSpring.value;
+      config.progress?.publish(scroll, scrollSpring.velocity, timeline.stages, timeline.stops);
+
+      // === TIMELINE ===
+      // Find the two stages around the scroll position and bind them
+      const segment = getStageSegment(timeline.stops, scroll);
+      const fromTarget = timeline.targets[segment.from];
+      const toTarget = timeline.targets[segment.to];
+      const fromStage = timeline.stages[segment.from];
+      const toStage = timeline.stages[segment.to];
+
+      if (segment.from !== timeline.from || segment.to !== timeline.to) {
+        bindStagePair(particles.geometry, timeline.targets, segment.from, segment.to);
+        setStageState(material.uniforms.uFromState.value, fromStage, fromTarget, look);
+        setStageState(material.uniforms.uToState.value, toStage, toTarget, look);
+        timeline.from = segment.from;
+        timeline.to = segment.to;
+      }
+
+      const morph = segment.progress;
+      // The later stage of the pair picks the path, in both scroll directions
+      setTrajectory(material.uniforms.uTrajectory.value, toStage.transition ?? config.transition, toStage.transitionStrength);
+
+      // Slower global time for smoother, more elegant motion
+      material.uniforms.uTime.value = elapsedTime * 0.2;
+      material.uniforms.uScroll.value = morph;
+      material.uniforms.uScrollVelocity.value = scrollSpring.velocity;
+      material.uniforms.uPointerStrength.value = config.reducedMotion ? 0 : 1;
+
+      // Every pointer follows on its own spring for a fluid feel
+      pointers.update(delta, config.mouseResponse, material.uniforms.uPointers.value);
+
+      // Age the shockwaves
+      if (config.ripple) {
+        material.uniforms.uRipple.value.set(config.ripple.strength, config.ripple.speed, config.ripple.lifetime);
+      }
+      ripples.update(delta, material.uniforms.uRipple.value.z, material.uniforms.uRipples.value);
+
+      // === AUDIO ===
+      if (audio && config.audio && !config.reducedMotion) {
+        audio.update(config.audio, material.uniforms.uAudio.value);
+      } else {
+        material.uniforms.uAudio.value.set(0, 0, 0);
+      }
+
+      // === WAVE MODE MOTION ===
+      // Drift only while the wave sheet is on screen, and never with reduced motion
+      const waveDamp = config.reducedMotion
+        ? 0
+        : THREE.MathUtils.lerp(fromTarget.wave ? 1 : 0, toTarget.wave ? 1 : 0, morph);
+
+      // Slower, gentler drift
+      particles.position.x = Math.sin(elapsedTime * 0.2) * 12 * waveDamp;
+      particles.position.y = Math.sin(elapsedTime * 0.25) * 6 * waveDamp;
+      particles.position.z = Math.sin(elapsedTime * 0.15) * 5 * waveDamp;
+
+      particles.rotation.z = Math.sin(elapsedTime * 0.15) * 0.08 * waveDamp;
+      particles.rotation.y = Math.cos(elapsedTime * 0.12) * 0.05 * waveDamp;
+
+      // === CAMERA TRANSITION ===
+      if (config.controlCamera) {
+        blendCameraPose(
+          camera,
+          getStagePose(fromStage, fromTarget.wave, config),
+          getStagePose(toStage, toTarget.wave, config),
+          morph
+        );
+
+        camera.position.x += Math.sin(elapsedTime * 0.1) * 3 * waveDamp;
+        camera.position.y += Math.cos(elapsedTime * 0.08) * 2 * waveDamp;
+      }
+
+      // === PHYSICS ===
+      // The renderer may be swapped, e.g. when antialiasing changes
+      const wantsPhysics = Boolean(config.physics) && !config.reducedMotion
+        && isPhysicsSupported(renderer) && !physicsFailed.has(renderer);
+      if (physics && (!wantsPhysics || physics.geometry !== particles.geometry || physics.renderer !== renderer)) {
+        physics.dispose();
+        physics = null;
+      }
+      if (wantsPhysics && !physics) {
+        // Thrown here it would hit every frame and never reach onFailure
+        try {
+          physics = createParticlePhysics({
+            renderer,
+            geometry: particles.geometry,
+            targetShader: PHYSICS_TARGET_SHADER,
+            uniforms: material.uniforms,
+            maxPointers: MAX_POINTERS,
+          });
+        } catch (error) {
+          physicsFailed.add(renderer);
+          console.error('Particle physics: using the plain pointer bulge', error);
+        }
+      }
+      material.uniforms.uPhysics.value = physics ? 1 : 0;
+      material.uniforms.uOffsets.value = physics ? physics.update(delta, config.physics, camera, particles) : null;
+    },
+
+    // === PLAYBACK CONTROL ===
+
+    // Resumes the clock after pause()
+    play() {
+      playing = true;
+    },
+
+    // Freezes the clock: wave, noise, drift and running morphTo() tweens
+    // stop where they are. Pointers still push the dots.
+    pause() {
+      playing = false;
+    },
+
+    /**
+     * Jumps to `progress` (0..1 across the whole timeline) and holds it
+     * there, ignoring the scroll position until followScroll(). A progress
+     * that is not a finite number is ignored.
+     */
+    seek(progress) {
+      if (!Number.isFinite(progress)) return;
+      releaseControl();
+      control = { progress: clampProgress(progress), tween: null };
+    },
+
+    // Sets the animation clock, in seconds; ignores anything but a finite number
+    setTime(seconds) {
+      if (!Number.isFinite(seconds)) return;
+      elapsedTime = seconds;
+    },
+
+    /**
+     * Animates to `progress` and holds it there, ignoring the scroll
+     * position until followScroll(). Resolves with true on arrival, or
+     * false when another seek / morphTo / followScroll cut it short. A
+     * progress or duration that is not a finite number, or an unknown
+     * easing, rejects and leaves the current morph alone.
+     *
+     * @param {number} progress - Target progress, 0..1 across the whole timeline
+     * @param {{ duration?: number, easing?: string | ((t: number) => number) }} [options]
+     *   Seconds to take (default 1), and an easing from lib/timeline (default 'easeInOut')
+     * @returns {Promise<boolean>}
+     */
+    morphTo(progress, { duration = 1, easing = 'easeInOut' } = {}) {
+      if (!Number.isFinite(progress)) {
+        return Promise.reject(new Error(`morphTo needs a progress between 0 and 1, got ${progress}`));
+      }
+      if (!Number.isFinite(duration) || duration < 0) {
+        return Promise.reject(new Error(`morphTo needs a duration of 0 seconds or more, got ${duration}`));
+      }
+      let ease;
+      try {
+        ease = getEasing(easing);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+      const from = control ? control.progress : scrollSpring.value;
+      releaseControl();
+
+      return new Promise((resolve) => {
+        control = {
+          progress: from,
+          tween: { from, to: clampProgress(progress), duration, easing: ease, elapsed: 0, resolve },
+        };
+      });
+    },
+
+    // Hands the progress back to the scroll position
+    followScroll() {
+      releaseControl();
+    },
+
+    /**
+     * Feeds the shader from `createAudioBands()` levels, or stops with null.
+     * The caller keeps ownership and disposes it.
+     */
+    setAudio(bands) {
+      audio = bands;
+    },
+
+    dispose() {
+      releaseControl();
+      pointerTarget.removeEventListener('pointerdown', handlePointerDown);
+      pointers.dispose();
+      physics?.dispose();
+      themeRequest++;
+      theme.dispose();
+      // Releases the timeline geometry too
+      field.dispose();
+      timeline = null;
+    },
+  };
+};
@@ -0,0 +1,149 @@
+import * as THREE from 'three';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_SPHERE_CAMERA, DEFAULT_WAVE_CAMERA } from './morphDefaults';
+import { createMorphField, createMorphGeometry } from './morphField';
+import { createMorphProgress } from './morphProgress';
+
+const STAGES = [
+  { name: 'wave', shape: 'wave' },
+  { name: 'sphere', shape: 'sphere', radius: 1 },
+];
+
+// A field on a tiny two-stage timeline; with stops at 0 and 1 the morph
+// uniform is the progress itself
+const createTestField = async () => {
+  const config = {
+    waveCamera: DEFAULT_WAVE_CAMERA,
+    sphereCamera: DEFAULT_SPHERE_CAMERA,
+    // Follows the scroll without easing
+    scrollResponse: 0,
+    mouseResponse: 0,
+    transition: 'linear',
+    reducedMotion: false,
+    ripple: null,
+    physics: null,
+    controlCamera: false,
+    progress: null,
+    audio: null,
+  };
+  const field = createMorphField({ getConfig: () => config, pointerTarget: new EventTarget() });
+  const built = await createMorphGeometry({ width: 1, height: 1, segmentsX: 2, segmentsY: 2, stages: STAGES });
+  field.setTimeline(built, STAGES);
+
+  const camera = new THREE.PerspectiveCamera();
+  const frame = (delta, scroll = 0) => field.update({ delta, scroll, camera, renderer: null });
+  const progress = () => field.material.uniforms.uScroll.value;
+  return { field, config, frame, progress };
+};
+
+describe('morph field playback', () => {
+  let test;
+
+  beforeEach(async () => {
+    vi.stubGlobal('window', { innerWidth: 800, innerHeight: 600 });
+    test = await createTestField();
+    test.frame(0);
+  });
+
+  afterEach(() => {
+    test.field.dispose();
+    vi.unstubAllGlobals();
+  });
+
+  it('follows the scroll until told otherwise', () => {
+    test.frame(1 / 60, 0.7);
+    expect(test.progress()).toBeCloseTo(0.7);
+  });
+
+  it('seeks to a progress and holds it against the scroll', () => {
+    test.field.seek(0.4);
+    test.frame(1 / 60, 1);
+    expect(test.progress()).toBeCloseTo(0.4);
+
+    test.field.seek(1.5);
+    test.frame(1 / 60, 0);
+    expect(test.progress()).toBe(1);
+
+    test.field.followScroll();
+    test.frame(1 / 60, 0.2);
+    expect(test.progress()).toBeCloseTo(0.2);
+  });
+
+  it('ignores a seek to anything but a finite number', () => {
+    test.field.seek(0.4);
+    test.field.seek(NaN);
+    test.field.seek(Infinity);
+    test.field.seek('0.9');
+    test.frame(1 / 60, 1);
+    expect(test.progress()).toBeCloseTo(0.4);
+  });
+
+  it('sets the clock, ignoring anything but a finite number', () => {
+    test.field.setTime(10);
+    test.frame(0);
+    const time = test.field.material.uniforms.uTime.value;
+    expect(time).toBeGreaterThan(0);
+
+    test.field.setTime(NaN);
+    test.field.setTime(-Infinity);
+    test.frame(0);
+    expect(test.field.material.uniforms.uTime.value).toBe(time);
+  });
+
+  it('animates morphTo over its duration and resolves on arrival', async () => {
+    const arrived = test.field.morphTo(1, { duration: 1, easing: 'linear' });
+    test.frame(0.5);
+    expect(test.progress()).toBeCloseTo(0.5);
+    test.frame(0.5, 0);
+    expect(test.progress()).toBe(1);
+    await expect(arrived).resolves.toBe(true);
+  });
+
+  it('holds a morphTo tween while paused', () => {
+    test.field.morphTo(1, { duration: 1, easing: 'linear' });
+    test.field.pause();
+    test.frame(0.5);
+    expect(test.progress()).toBe(0);
+    test.field.play();
+    test.frame(0.5);
+    expect(test.progress()).toBeCloseTo(0.5);
+  });
+
+  it('resolves a morphTo cut short with false', async () => {
+    const cut = test.field.morphTo(1);
+    test.field.seek(0.2);
+    await expect(cut).resolves.toBe(false);
+  });
+
+  it('publishes the progress it draws to the progress store', async () => {
+    const store = createMorphProgress();
+    const onMorphComplete = vi.fn();
+    store.onMorphComplete(onMorphComplete);
+    test.config.progress = store;
+
+    test.frame(1 / 60, 0.4);
+    expect(store.getProgress()).toBeCloseTo(0.4);
+    expect(store.getStage()).toEqual({ index: 0, stage: STAGES[0] });
+
+    const arrived = test.field.morphTo(1, { duration: 0 });
+    test.frame(1 / 60, 0.4);
+    await arrived;
+    expect(store.getProgress()).toBe(1);
+    expect(store.getStage()).toEqual({ index: 1, stage: STAGES[1] });
+    expect(onMorphComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a non-finite progress or duration or an unknown easing and keeps the morph', async () => {
+    test.field.seek(0.3);
+
+    await expect(test.field.morphTo(NaN)).rejects.toThrow('morphTo needs a progress between 0 and 1, got NaN');
+    await expect(test.field.morphTo(1, { duration: Infinity })).rejects.toThrow(
+      'morphTo needs a duration of 0 seconds or more, got Infinity'
+    );
+    await expect(test.field.morphTo(1, { duration: -1 })).rejects.toThrow('got -1');
+    await expect(test.field.morphTo(1, { easing: 'bounce' })).rejects.toThrow('Unknown easing "bounce"');
+
+    test.frame(1, 1);
+    expect(test.progress()).toBeCloseTo(0.3);
+  });
+});
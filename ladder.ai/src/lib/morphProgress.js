@@ -0,0 +1,92 @@
+/**
+ * Morph progress store: the eased progress a particle field draws with,
+ * for anything on the page that should move along with it.
+ *
+ * The field publishes every frame; readers subscribe the way
+ * `useSyncExternalStore` expects, so text reveals and overlays read the
+ * exact value the shader got instead of re-deriving it from the scroll.
+ * The snapshots are primitives or objects that only change with the value,
+ * and subscribers are only woken by changes worth a re-render.
+ */
+
+import { getNearestStop } from './timeline';
+
+// Progress changes smaller than this do not wake subscribers
+const PROGRESS_EPSILON = 1e-4;
+// How close to the last stage's stop counts as arrived
+const COMPLETE_EPSILON = 1e-3;
+
+/**
+ * @typedef {Object} MorphStageState
+ * @property {number} index - Position in the timeline
+ * @property {Object} stage - The stage itself (see MorphStage in final.jsx)
+ */
+
+export const createMorphProgress = () => {
+  let progress = 0;
+  let velocity = 0;
+  /** @type {MorphStageState | null} */
+  let stage = null;
+  let complete = false;
+  const listeners = new Set();
+  const stageEnterListeners = new Set();
+  const completeListeners = new Set();
+
+  const notify = (set, ...args) => set.forEach((listener) => listener(...args));
+
+  const addTo = (set) => (listener) => {
+    set.add(listener);
+    return () => set.delete(listener);
+  };
+
+  return {
+    // For useSyncExternalStore
+    subscribe: addTo(listeners),
+
+    getProgress: () => progress,
+
+    // Progress per second, as of the last change of progress
+    getVelocity: () => velocity,
+
+    // The stage the dots are closest to, null before the first frame
+    getStage: () => stage,
+
+    /**
+     * Calls `listener({ index, stage })` whenever another stage becomes the
+     * nearest, starting with the first one.
+     */
+    onStageEnter: addTo(stageEnterListeners),
+
+    // Calls `listener()` each time the morph arrives at the last stage
+    onMorphComplete: addTo(completeListeners),
+
+    /**
+     * Called by the field with the value it is drawing.
+     *
+     * @param {number} next - Eased progress, 0..1 across the timeline
+     * @param {number} nextVelocity - Progress per second
+     * @param {Object[]} stages - The timeline's stages
+     * @param {number[]} stops - Their positions (see lib/timeline)
+     */
+    publish(next, nextVelocity, stages, stops) {
+      const index = stops.indexOf(getNearestStop(stops, next));
+      const stageChanged = stage?.index !== index || stage?.stage !== stages[index];
+      const moved = Math.abs(next - progress) > PROGRESS_EPSILON;
+
+      if (moved || stageChanged) {
+        progress = next;
+        velocity = nextVelocity;
+      }
+      if (stageChanged) {
+        stage = { index, stage: stages[index] };
+      }
+      if (moved || stageChanged) notify(listeners);
+      if (stageChanged) notify(stageEnterListeners, stage);
+
+      // The last stage may sit before the end of the scroll range
+      const arrived = next >= stops[stops.length - 1] - COMPLETE_EPSILON;
+      if (arrived && !complete) notify(completeListeners);
+      complete = arrived;
+    },
+  };
+};
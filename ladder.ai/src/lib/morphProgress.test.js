@@ -0,0 +1,102 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createMorphProgress } from './morphProgress';
+
+const STAGES = [{ name: 'wave' }, { name: 'sphere' }, { name: 'torus' }];
+const STOPS = [0, 0.5, 1];
+
+describe('createMorphProgress', () => {
+  it('starts at 0 with no stage', () => {
+    const progress = createMorphProgress();
+    expect(progress.getProgress()).toBe(0);
+    expect(progress.getVelocity()).toBe(0);
+    expect(progress.getStage()).toBeNull();
+  });
+
+  it('keeps the published progress and velocity', () => {
+    const progress = createMorphProgress();
+    progress.publish(0.3, 1.5, STAGES, STOPS);
+    expect(progress.getProgress()).toBe(0.3);
+    expect(progress.getVelocity()).toBe(1.5);
+  });
+
+  it('wakes subscribers on moves worth a re-render only', () => {
+    const progress = createMorphProgress();
+    const onChange = vi.fn();
+    const unsubscribe = progress.subscribe(onChange);
+
+    // The first frame sets the stage
+    progress.publish(0, 0, STAGES, STOPS);
+    expect(onChange).toHaveBeenCalledTimes(1);
+
+    progress.publish(0.00005, 0.1, STAGES, STOPS);
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(progress.getProgress()).toBe(0);
+
+    progress.publish(0.1, 0.1, STAGES, STOPS);
+    expect(onChange).toHaveBeenCalledTimes(2);
+
+    unsubscribe();
+    progress.publish(0.2, 0.1, STAGES, STOPS);
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the stage snapshot while the nearest stage stays the same', () => {
+    const progress = createMorphProgress();
+    progress.publish(0.1, 0, STAGES, STOPS);
+    const stage = progress.getStage();
+    progress.publish(0.2, 0, STAGES, STOPS);
+    expect(progress.getStage()).toBe(stage);
+    expect(stage).toEqual({ index: 0, stage: STAGES[0] });
+  });
+
+  it('calls onStageEnter for the first stage and every change of nearest stage', () => {
+    const progress = createMorphProgress();
+    const onStageEnter = vi.fn();
+    progress.onStageEnter(onStageEnter);
+
+    for (const value of [0, 0.2, 0.3, 0.6, 0.9, 0.4]) {
+      progress.publish(value, 0, STAGES, STOPS);
+    }
+    expect(onStageEnter.mock.calls.map(([{ index }]) => index)).toEqual([0, 1, 2, 1]);
+    expect(onStageEnter).toHaveBeenLastCalledWith({ index: 1, stage: STAGES[1] });
+  });
+
+  it('enters the stage again when the timeline is swapped', () => {
+    const progress = createMorphProgress();
+    const onStageEnter = vi.fn();
+    progress.onStageEnter(onStageEnter);
+
+    progress.publish(0, 0, STAGES, STOPS);
+    const swapped = [{ name: 'text' }, ...STAGES.slice(1)];
+    progress.publish(0, 0, swapped, STOPS);
+    expect(onStageEnter).toHaveBeenCalledTimes(2);
+    expect(progress.getStage().stage).toBe(swapped[0]);
+  });
+
+  it('calls onMorphComplete once per arrival at the last stage', () => {
+    const progress = createMorphProgress();
+    const onMorphComplete = vi.fn();
+    progress.onMorphComplete(onMorphComplete);
+
+    for (const value of [0.5, 0.9995, 1, 1, 0.6, 1]) {
+      progress.publish(value, 0, STAGES, STOPS);
+    }
+    expect(onMorphComplete).toHaveBeenCalledTimes(2);
+  });
+
+  it('completes at a last stage that sits before the end of the scroll range', () => {
+    const progress = createMorphProgress();
+    const onMorphComplete = vi.fn();
+    const unsubscribe = progress.onMorphComplete(onMorphComplete);
+
+    progress.publish(0.7995, 0, STAGES, [0, 0.4, 0.8]);
+    expect(onMorphComplete).toHaveBeenCalledTimes(1);
+    progress.publish(1, 0, STAGES, [0, 0.4, 0.8]);
+    expect(onMorphComplete).toHaveBeenCalledTimes(1);
+
+    unsubscribe();
+    progress.publish(0, 0, STAGES, [0, 0.4, 0.8]);
+    progress.publish(0.8, 0, STAGES, [0, 0.4, 0.8]);
+    expect(onMorphComplete).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,306 @@
+/**
+ * ParticleField - the shared core of the particle backgrounds.
+ *
+ * It comes in two halves that are used together but know nothing of each
+ * other:
+ *
+ * - the host owns everything around the particles: the renderer and its
+ *   canvas, scene and camera, the optional bloom, resize and scroll
+ *   tracking, the visibility-aware frame loop and the teardown;
+ * - the field owns the particles: the Points object, its shader material
+ *   and a grid geometry with one attribute per shape generator.
+ *
+ * A component brings its shaders and what changes each frame; everything
+ * else (and every fix to it) is shared.
+ */
+
+import * as THREE from 'three';
+import { createFrameLoop } from './frameLoop';
+import { createPostProcessing } from './postProcessing';
+import { createScrollDriver } from './scroll';
+import { createShapeGrid, createShapeTarget } from './shapes';
+
+/**
+ * @typedef {Object} ParticleHostOptions
+ * @property {HTMLElement} container - Element the canvas is appended to
+ * @property {number} [fov=60] - Camera field of view
+ * @property {boolean} [antialias=true] - Initial antialiasing, see `setAntialias`
+ * @property {number} [pixelRatio=2] - Upper bound for the device pixel ratio
+ * @property {import('./postProcessing').BloomOptions | null} [bloom=null] - Initial post-processing, see `setBloom`
+ * @property {import('./scroll').ScrollDriver} [scrollDriver] - Where the scroll progress comes from; the window over 1.5 viewports by default, see `setScrollDriver`
+ * @property {(frame: { delta: number, scroll: number }) => void} onFrame - Called before every render
+ * @property {(width: number, height: number) => void} [onResize] - Called after the camera and canvas are resized
+ * @property {(reason: 'error' | 'context-lost', error: Error) => void} [onFailure] - Shader errors and a lost context
+ */
+
+/**
+ * Creates the renderer, scene and camera in `container`. Nothing renders
+ * until `start()`, so the field can be added to the scene first.
+ *
+ * @param {ParticleHostOptions} options
+ */
+export const createParticleHost = ({
+  container,
+  fov = 60,
+  antialias = true,
+  pixelRatio = 2,
+  bloom = null,
+  scrollDriver = createScrollDriver(),
+  onFrame,
+  onResize,
+  onFailure,
+}) => {
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(fov, window.innerWidth / window.innerHeight, 1, 1000);
+  const clock = new THREE.Clock();
+  let maxPixelRatio = pixelRatio;
+  let driver = scrollDriver;
+  let scroll = driver.read();
+  let frameLoop = null;
+  let bloomSettings = bloom;
+  let post = null;
+
+  const handleContextLost = (event) => {
+    event.preventDefault();
+    onFailure?.('context-lost', new Error('WebGL context lost'));
+  };
+
+  const createRenderer = (withAntialias) => {
+    const created = new THREE.WebGLRenderer({
+      alpha: true,
+      antialias: withAntialias,
+      powerPreference: 'high-performance',
+      precision: 'highp',
+    });
+    created.setSize(window.innerWidth, window.innerHeight);
+    created.setPixelRatio(Math.min(window.devicePixelRatio, maxPixelRatio));
+    container.appendChild(created.domElement);
+
+    // Shader compile errors and a lost context both count as failures
+    created.debug.onShaderError = (gl, program, vertexShader, fragmentShader) => {
+      const log = [vertexShader, fragmentShader]
+        .map((shader) => gl.getShaderInfoLog(shader))
+        .filter(Boolean)
+        .join('\n');
+      onFailure?.('error', new Error(`Particle shader failed to compile\n${log}`));
+    };
+    created.domElement.addEventListener('webglcontextlost', handleContextLost);
+
+    return { renderer: created, antialias: withAntialias };
+  };
+
+  // Not a failure: release the old context right away instead of
+  // waiting for the browser to collect it
+  const releaseRenderer = ({ renderer }) => {
+    renderer.domElement.removeEventListener('webglcontextlost', handleContextLost);
+    container.removeChild(renderer.domElement);
+    renderer.dispose();
+    renderer.forceContextLoss();
+  };
+
+  let current = createRenderer(antialias);
+
+  // The pass chain belongs to one renderer, so it is rebuilt with it
+  const updatePostProcessing = () => {
+    post?.dispose();
+    post = bloomSettings
+      ? createPostProcessing({ renderer: current.renderer, scene, camera, settings: bloomSettings })
+      : null;
+  };
+  updatePostProcessing();
+
+  const handleResize = () => {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    current.renderer.setSize(window.innerWidth, window.innerHeight);
+    current.renderer.setPixelRatio(Math.min(window.devicePixelRatio, maxPixelRatio));
+    post?.setSize(window.innerWidth, window.innerHeight);
+    onResize?.(window.innerWidth, window.innerHeight);
+  };
+
+  const handleScroll = () => {
+    scroll = driver.read();
+  };
+
+  window.addEventListener('resize', handleResize);
+  let unsubscribeScroll = driver.subscribe(handleScroll);
+
+  return {
+    scene,
+    camera,
+
+    get renderer() {
+      return current.renderer;
+    },
+
+    /**
+     * Starts the frame loop; it only runs while the container is on
+     * screen and the tab is visible.
+     */
+    start() {
+      frameLoop ??= createFrameLoop({
+        element: container,
+        clock,
+        onFrame: () => {
+          const delta = clock.getDelta();
+          onFrame({ delta, scroll });
+          if (post) {
+            post.render(delta);
+          } else {
+            current.renderer.render(scene, camera);
+          }
+        },
+      });
+    },
+
+    /**
+     * Antialiasing is fixed when a WebGL context is created, so a change
+     * rebuilds the renderer; scene, materials and geometries carry over.
+     */
+    setAntialias(enabled) {
+      if (enabled === current.antialias) return;
+      post?.dispose();
+      post = null;
+      releaseRenderer(current);
+      current = createRenderer(enabled);
+      updatePostProcessing();
+    },
+
+    setPixelRatio(max) {
+      maxPixelRatio = max;
+      current.renderer.setPixelRatio(Math.min(window.devicePixelRatio, maxPixelRatio));
+      post?.setSize(window.innerWidth, window.innerHeight);
+    },
+
+    /**
+     * Turns the bloom chain on (or updates it) with `settings`, or off with
+     * null. Settings changes are applied in place.
+     *
+     * @param {import('./postProcessing').BloomOptions | null} settings
+     */
+    setBloom(settings) {
+      const toggled = Boolean(settings) !== Boolean(bloomSettings);
+      bloomSettings = settings;
+      if (toggled) {
+        updatePostProcessing();
+      } else {
+        post?.setSettings(settings);
+      }
+    },
+
+    /**
+     * Follows another scroll driver from now on; the progress is re-read at
+     * once, e.g. after the range changed.
+     *
+     * @param {import('./scroll').ScrollDriver} next
+     */
+    setScrollDriver(next) {
+      unsubscribeScroll();
+      driver = next;
+      unsubscribeScroll = driver.subscribe(handleScroll);
+      handleScroll();
+    },
+
+    dispose() {
+      window.removeEventListener('resize', handleResize);
+      unsubscribeScroll();
+      frameLoop?.dispose();
+      post?.dispose();
+      releaseRenderer(current);
+    },
+  };
+};
+
+/**
+ * Creates the particles: a Points object with a shader material, added to
+ * nothing yet. The geometry is set (and swapped) with `setGeometry`.
+ *
+ * @param {Object} options
+ * @param {Object} options.uniforms
+ * @param {string} options.vertexShader
+ * @param {string} options.fragmentShader
+ * @param {THREE.Blending} [options.blending=THREE.AdditiveBlending]
+ */
+export const createParticleField = ({
+  uniforms,
+  vertexShader,
+  fragmentShader,
+  blending = THREE.AdditiveBlending,
+}) => {
+  const material = new THREE.ShaderMaterial({
+    uniforms,
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    blending,
+    depthWrite: false,
+  });
+
+  // Geometry is attached once it is built
+  const placeholder = new THREE.BufferGeometry();
+  const points = new THREE.Points(placeholder, material);
+  // The shaders move every particle far from the grid the bounds describe
+  points.frustumCulled = false;
+  let release = () => placeholder.dispose();
+
+  return {
+    points,
+    material,
+
+    /**
+     * Shows `geometry` and releases the previous one. `onRelease` frees the
+     * new geometry when it is replaced in turn or the field is disposed.
+     */
+    setGeometry(geometry, onRelease = () => geometry.dispose()) {
+      const previous = release;
+      points.geometry = geometry;
+      release = onRelease;
+      previous();
+    },
+
+    dispose() {
+      release();
+      release = () => {};
+      material.dispose();
+    },
+  };
+};
+
+/**
+ * @typedef {Object} FieldShape
+ * @property {string | Function} shape - Shape generator name or function (see lib/shapes)
+ * @property {string} position - Attribute that receives the positions
+ * @property {string} [normal] - Attribute that receives the normals
+ *
+ * Any other keys are passed to the generator.
+ */
+
+/**
+ * Builds a particle grid with one attribute per shape, e.g. the wave grid
+ * plus an `aSpherePosition` to morph into. Resolves once every generator
+ * (fonts, models) is done.
+ *
+ * @param {Object} options
+ * @param {number} [options.width=1] - Width of the grid in world units
+ * @param {number} [options.height=1] - Height of the grid in world units
+ * @param {number} options.segmentsX - Grid segments along X
+ * @param {number} options.segmentsY - Grid segments along Y
+ * @param {FieldShape[]} [options.shapes=[]]
+ * @returns {Promise<THREE.BufferGeometry>}
+ */
+export const createFieldGeometry = async ({ width, height, segmentsX, segmentsY, shapes = [] }) => {
+  const { geometry, grid } = createShapeGrid({ width, height, segmentsX, segmentsY });
+
+  const targets = await Promise.all(
+    shapes.map((stage) => createShapeTarget(grid, { name: stage.position, ...stage }))
+  );
+
+  shapes.forEach(({ position, normal }, i) => {
+    geometry.setAttribute(position, new THREE.BufferAttribute(targets[i].positions, 3));
+    if (normal) {
+      geometry.setAttribute(normal, new THREE.BufferAttribute(targets[i].normals, 3));
+    }
+  });
+
+  return geometry;
+};
@@ -0,0 +1,234 @@
+/**
+ * GPU spring physics for the particle field.
+ *
+ * Every particle gets a texel in a set of float textures holding its
+ * offset from the morph target and its velocity. Each frame:
+ *
+ *   1. the target pass draws every particle as one pixel at its texel,
+ *      writing the position the shader would draw it at without pointers;
+ *   2. the velocity pass springs the offset back towards zero, damps it and
+ *      adds the pointers' push (away from the ray under each pointer);
+ *   3. the offset pass integrates the velocity.
+ *
+ * The particle shader then adds the offset texture to its own target, so
+ * dots keep their momentum and overshoot instead of snapping back.
+ */
+
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+
+export const DEFAULT_PHYSICS = {
+  stiffness: 40, // Spring pull back to the target, per unit of offset
+  damping: 6, // Velocity lost per second
+};
+
+// Long frames are split up to this step so stiff springs stay stable
+const MAX_STEP = 1 / 30;
+// Frames longer than this (a background tab, a debugger pause) are cut short
+const MAX_STEPS = 4;
+
+// Side of the square textures holding `count` particles
+export const getSimulationSize = (count) => Math.ceil(Math.sqrt(count));
+
+// Equal simulation steps covering a frame of `delta` seconds; the epsilon
+// keeps rounding from adding a near-empty step
+export const getSimulationSteps = (delta) => {
+  const total = Math.min(delta, MAX_STEP * MAX_STEPS);
+  if (!(total > 0)) return { count: 0, step: 0 };
+  const count = Math.ceil(total / MAX_STEP - 1e-9);
+  return { count, step: total / count };
+};
+
+// Float render targets are needed for positions and velocities
+export const isPhysicsSupported = (renderer) => (
+  renderer.capabilities.maxVertexTextures > 0 && renderer.extensions.has('EXT_color_buffer_float')
+);
+
+const PHYSICS_TARGET_FRAGMENT = `
+  varying vec3 vTarget;
+
+  void main() {
+    gl_FragColor = vec4(vTarget, 1.0);
+  }
+`;
+
+const createVelocityShader = (maxPointers) => `
+  #define MAX_POINTERS ${maxPointers}
+
+  uniform sampler2D uTargets;
+  uniform float uDelta;
+  uniform float uStiffness;
+  uniform float uDamping;
+  uniform float uPointerStrength;
+  uniform vec3 uPointers[MAX_POINTERS]; // xy: NDC, z: strength
+  uniform vec3 uPointerRays[MAX_POINTERS]; // Direction under each pointer, in particle space
+  uniform vec3 uCameraPosition; // In particle space
+  uniform mat4 uModelViewProjection;
+
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec3 offset = texture2D(textureOffset, uv).xyz;
+    vec3 velocity = texture2D(textureVelocity, uv).xyz;
+    vec3 position = texture2D(uTargets, uv).xyz + offset;
+
+    vec4 clipPos = uModelViewProjection * vec4(position, 1.0);
+    vec2 ndc = clipPos.xy / clipPos.w;
+    vec3 fromCamera = position - uCameraPosition;
+
+    // Same screen-space reach as the plain bulge, pushing straight away
+    // from the line under each pointer
+    vec3 push = vec3(0.0);
+    for (int i = 0; i < MAX_POINTERS; i++) {
+      float repulsion = smoothstep(0.4, 0.0, distance(ndc, uPointers[i].xy)) * uPointers[i].z;
+      vec3 ray = uPointerRays[i];
+      vec3 away = fromCamera - ray * dot(fromCamera, ray);
+      push += normalize(away + vec3(0.0, 1e-4, 0.0)) * repulsion;
+    }
+
+    // Scaled by the stiffness so a resting pointer holds the dots 5 units
+    // away, like the plain bulge
+    vec3 force = -uStiffness * offset - uDamping * velocity + push * 5.0 * uStiffness * uPointerStrength;
+    gl_FragColor = vec4(velocity + force * uDelta, 1.0);
+  }
+`;
+
+const OFFSET_SHADER = `
+  uniform float uDelta;
+
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec3 offset = texture2D(textureOffset, uv).xyz;
+    vec3 velocity = texture2D(textureVelocity, uv).xyz;
+    gl_FragColor = vec4(offset + velocity * uDelta, 1.0);
+  }
+`;
+
+/**
+ * Creates the simulation for one renderer and one particle geometry. The
+ * geometry needs an `aSimUv` attribute pointing at each particle's texel.
+ * Throws, having released what it made, when the simulation shaders do not
+ * compile on this renderer.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {THREE.BufferGeometry} options.geometry - The particle geometry
+ * @param {string} options.targetShader - Vertex shader writing each particle's target to `vTarget`
+ * @param {Object} options.uniforms - Particle material uniforms; the target pass shares them and the
+ *   velocity pass reads `uPointers` / `uPointerStrength` from them
+ * @param {number} options.maxPointers - Length of the `uPointers` array
+ */
+export const createParticlePhysics = ({ renderer, geometry, targetShader, uniforms, maxPointers }) => {
+  const size = getSimulationSize(geometry.attributes.position.count);
+
+  // 1. Target pass
+  const targets = new THREE.WebGLRenderTarget(size, size, {
+    type: THREE.FloatType,
+    minFilter: THREE.NearestFilter,
+    magFilter: THREE.NearestFilter,
+    depthBuffer: false,
+  });
+  const targetMaterial = new THREE.ShaderMaterial({
+    uniforms,
+    vertexShader: targetShader,
+    fragmentShader: PHYSICS_TARGET_FRAGMENT,
+    blending: THREE.NoBlending,
+    depthTest: false,
+    depthWrite: false,
+  });
+  const targetPoints = new THREE.Points(geometry, targetMaterial);
+  targetPoints.frustumCulled = false;
+  const targetScene = new THREE.Scene();
+  targetScene.add(targetPoints);
+  // The target shader writes clip space directly
+  const targetCamera = new THREE.Camera();
+
+  // 2. and 3. Velocity and offset passes
+  const compute = new GPUComputationRenderer(size, size, renderer);
+  const velocity = compute.addVariable('textureVelocity', createVelocityShader(maxPointers), compute.createTexture());
+  const offset = compute.addVariable('textureOffset', OFFSET_SHADER, compute.createTexture());
+  compute.setVariableDependencies(velocity, [velocity, offset]);
+  compute.setVariableDependencies(offset, [velocity, offset]);
+
+  const pointerRays = Array.from({ length: maxPointers }, () => new THREE.Vector3());
+  Object.assign(velocity.material.uniforms, {
+    uTargets: { value: targets.texture },
+    uDelta: { value: 0 },
+    uStiffness: { value: DEFAULT_PHYSICS.stiffness },
+    uDamping: { value: DEFAULT_PHYSICS.damping },
+    uPointerStrength: uniforms.uPointerStrength,
+    uPointers: uniforms.uPointers,
+    uPointerRays: { value: pointerRays },
+    uCameraPosition: { value: new THREE.Vector3() },
+    uModelViewProjection: { value: new THREE.Matrix4() },
+  });
+  offset.material.uniforms.uDelta = { value: 0 };
+
+  const error = compute.init();
+  if (error) {
+    compute.dispose();
+    targets.dispose();
+    targetMaterial.dispose();
+    throw new Error(`Particle physics failed to start: ${error}`);
+  }
+
+  const toParticleSpace = new THREE.Matrix4();
+  const rayPoint = new THREE.Vector3();
+
+  return {
+    renderer,
+    geometry,
+
+    /**
+     * Advances the simulation by `delta` seconds for the current camera.
+     *
+     * @param {number} delta - Seconds since the previous frame
+     * @param {{ stiffness: number, damping: number }} settings
+     * @param {THREE.Camera} camera
+     * @param {THREE.Object3D} particles - The Points object the offsets apply to
+     * @returns {THREE.Texture} Offsets for the particle shader
+     */
+    update(delta, settings, camera, particles) {
+      const simUniforms = velocity.material.uniforms;
+
+      camera.updateMatrixWorld();
+      particles.updateMatrixWorld();
+      toParticleSpace.copy(particles.matrixWorld).invert();
+
+      simUniforms.uStiffness.value = settings.stiffness;
+      simUniforms.uDamping.value = settings.damping;
+      simUniforms.uModelViewProjection.value
+        .multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+        .multiply(particles.matrixWorld);
+
+      const cameraPosition = simUniforms.uCameraPosition.value
+        .setFromMatrixPosition(camera.matrixWorld)
+        .applyMatrix4(toParticleSpace);
+      uniforms.uPointers.value.forEach((pointer, i) => {
+        rayPoint.set(pointer.x, pointer.y, 0.5).unproject(camera).applyMatrix4(toParticleSpace);
+        pointerRays[i].subVectors(rayPoint, cameraPosition).normalize();
+      });
+
+      const previousTarget = renderer.getRenderTarget();
+      renderer.setRenderTarget(targets);
+      renderer.render(targetScene, targetCamera);
+      renderer.setRenderTarget(previousTarget);
+
+      const { count, step } = getSimulationSteps(delta);
+      for (let i = 0; i < count; i++) {
+        simUniforms.uDelta.value = step;
+        offset.material.uniforms.uDelta.value = step;
+        compute.compute();
+      }
+
+      return compute.getCurrentRenderTarget(offset).texture;
+    },
+
+    dispose() {
+      compute.dispose();
+      velocity.material.dispose();
+      offset.material.dispose();
+      targets.dispose();
+      targetMaterial.dispose();
+    },
+  };
+};
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { getSimulationSize, getSimulationSteps, isPhysicsSupported } from './particlePhysics';
+
+describe('getSimulationSize', () => {
+  it('fits every particle in a square texture', () => {
+    expect(getSimulationSize(1)).toBe(1);
+    expect(getSimulationSize(16)).toBe(4);
+    expect(getSimulationSize(17)).toBe(5);
+    // The default 200 x 100 segment grid
+    expect(getSimulationSize(201 * 101)).toBe(143);
+  });
+});
+
+describe('getSimulationSteps', () => {
+  it('takes a short frame in one step', () => {
+    expect(getSimulationSteps(1 / 60)).toEqual({ count: 1, step: 1 / 60 });
+    expect(getSimulationSteps(1 / 30)).toEqual({ count: 1, step: 1 / 30 });
+  });
+
+  it('splits a long frame into equal steps of at most 1/30 s', () => {
+    const { count, step } = getSimulationSteps(0.05);
+    expect(count).toBe(2);
+    expect(step).toBeCloseTo(0.025);
+  });
+
+  it('adds no near-empty step when the frame is a whole number of steps', () => {
+    const { count, step } = getSimulationSteps(0.1);
+    expect(count).toBe(3);
+    expect(step).toBeCloseTo(1 / 30);
+  });
+
+  it('simulates at most four steps of a stalled frame', () => {
+    const { count, step } = getSimulationSteps(2);
+    expect(count).toBe(4);
+    expect(step).toBeCloseTo(1 / 30);
+  });
+
+  it('does nothing for an empty or invalid frame', () => {
+    expect(getSimulationSteps(0)).toEqual({ count: 0, step: 0 });
+    expect(getSimulationSteps(-1)).toEqual({ count: 0, step: 0 });
+    expect(getSimulationSteps(NaN)).toEqual({ count: 0, step: 0 });
+  });
+});
+
+describe('isPhysicsSupported', () => {
+  const createRenderer = ({ maxVertexTextures = 16, floatBuffers = true } = {}) => ({
+    capabilities: { maxVertexTextures },
+    extensions: { has: (name) => floatBuffers && name === 'EXT_color_buffer_float' },
+  });
+
+  it('needs vertex texture reads and float render targets', () => {
+    expect(isPhysicsSupported(createRenderer())).toBe(true);
+    expect(isPhysicsSupported(createRenderer({ maxVertexTextures: 0 }))).toBe(false);
+    expect(isPhysicsSupported(createRenderer({ floatBuffers: false }))).toBe(false);
+  });
+});
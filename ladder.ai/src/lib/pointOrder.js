@@ -0,0 +1,36 @@
+/**
+ * Reorders an unordered point set so it lines up with the wave grid.
+ *
+ * Points are split into one band per grid row from top (+Y) to bottom, and
+ * each band is sorted by angle around the Y axis, the same layout the UV
+ * sphere uses. Grid neighbours therefore land on nearby points and paths do
+ * not cross wildly during the morph.
+ */
+export const orderLikeGrid = (positions, normals, { count, segmentsX }) => {
+  const rowLength = segmentsX + 1;
+  const angles = new Float32Array(count);
+  const order = new Uint32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    order[i] = i;
+    const angle = Math.atan2(positions[i * 3 + 2], positions[i * 3]);
+    angles[i] = angle < 0 ? angle + Math.PI * 2 : angle;
+  }
+
+  order.sort((a, b) => positions[b * 3 + 1] - positions[a * 3 + 1]);
+  for (let start = 0; start < count; start += rowLength) {
+    order.subarray(start, Math.min(start + rowLength, count)).sort((a, b) => angles[a] - angles[b]);
+  }
+
+  const orderedPositions = new Float32Array(count * 3);
+  const orderedNormals = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const source = order[i] * 3;
+    for (let k = 0; k < 3; k++) {
+      orderedPositions[i * 3 + k] = positions[source + k];
+      orderedNormals[i * 3 + k] = normals[source + k];
+    }
+  }
+
+  return { positions: orderedPositions, normals: orderedNormals };
+};
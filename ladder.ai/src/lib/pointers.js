@@ -0,0 +1,111 @@
+/**
+ * Pointer tracking for the particle bulge.
+ *
+ * Follows mouse, touch and pen through Pointer Events and keeps up to
+ * `maxPointers` of them in fixed slots, so the shader can read them as a
+ * uniform array. A hovering mouse counts as down; touch and pen only while
+ * they press. A lifted pointer keeps its slot and fades out where it was
+ * instead of freezing or vanishing. Each slot follows its pointer on a
+ * spring (lib/spring), the same on any refresh rate.
+ */
+
+import { createSpring } from './spring';
+
+// Seconds for a pointer's strength to ramp in after it appears and out after it lifts
+const POINTER_FADE_IN_TIME = 0.15;
+const POINTER_FADE_OUT_TIME = 0.6;
+
+// Client coordinates to NDC (-1 to +1), y up
+export const pointerToNdc = (event) => ({
+  x: (event.clientX / window.innerWidth) * 2 - 1,
+  y: -(event.clientY / window.innerHeight) * 2 + 1,
+});
+
+/**
+ * @param {{ maxPointers: number, target?: EventTarget }} options
+ * @returns {{ update: (delta: number, response: number, out: import('three').Vector3[]) => void, dispose: () => void }}
+ */
+export const createPointerTracker = ({ maxPointers, target = window }) => {
+  const slots = Array.from({ length: maxPointers }, () => ({
+    id: null,
+    active: false,
+    x: createSpring(),
+    y: createSpring(),
+    targetX: 0,
+    targetY: 0,
+    strength: 0,
+  }));
+
+  // The pointer's own slot, else an empty one, else the faintest lifted one
+  const findSlot = (id) => {
+    const own = slots.find((slot) => slot.id === id);
+    if (own) return own;
+
+    return slots
+      .filter((slot) => !slot.active)
+      .sort((a, b) => a.strength - b.strength)[0] ?? null;
+  };
+
+  const handleMove = (event) => {
+    // Touch and pen only push while pressed
+    if (event.pointerType !== 'mouse' && event.buttons === 0) return;
+
+    const slot = findSlot(event.pointerId);
+    if (!slot) return;
+
+    const { x, y } = pointerToNdc(event);
+    if (slot.id !== event.pointerId || slot.strength === 0) {
+      // A new pointer starts where it is, not where the slot's last one was
+      slot.x.jump(x);
+      slot.y.jump(y);
+    }
+    slot.id = event.pointerId;
+    slot.active = true;
+    slot.targetX = x;
+    slot.targetY = y;
+  };
+
+  const handleLift = (event) => {
+    // A mouse is only lifted when it leaves the window
+    if (event.type === 'pointerout' && (event.pointerType !== 'mouse' || event.relatedTarget)) return;
+
+    const slot = slots.find((candidate) => candidate.id === event.pointerId);
+    if (slot) slot.active = false;
+  };
+
+  target.addEventListener('pointerdown', handleMove);
+  target.addEventListener('pointermove', handleMove);
+  target.addEventListener('pointerup', handleLift);
+  target.addEventListener('pointercancel', handleLift);
+  target.addEventListener('pointerout', handleLift);
+
+  return {
+    /**
+     * Eases every slot towards its pointer and writes (x, y, strength) into `out`.
+     *
+     * @param {number} delta - Seconds since the previous frame
+     * @param {number} response - Seconds to cover 90% of the way to the pointer position
+     * @param {import('three').Vector3[]} out - One vector per slot
+     */
+    update(delta, response, out) {
+      slots.forEach((slot, i) => {
+        slot.x.update(slot.targetX, delta, response);
+        slot.y.update(slot.targetY, delta, response);
+        slot.strength = slot.active
+          ? Math.min(1, slot.strength + delta / POINTER_FADE_IN_TIME)
+          : Math.max(0, slot.strength - delta / POINTER_FADE_OUT_TIME);
+        if (slot.strength === 0) slot.id = null;
+
+        out[i].set(slot.x.value, slot.y.value, slot.strength);
+      });
+    },
+
+    dispose() {
+      target.removeEventListener('pointerdown', handleMove);
+      target.removeEventListener('pointermove', handleMove);
+      target.removeEventListener('pointerup', handleLift);
+      target.removeEventListener('pointercancel', handleLift);
+      target.removeEventListener('pointerout', handleLift);
+    },
+  };
+};
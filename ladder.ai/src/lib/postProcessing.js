@@ -0,0 +1,158 @@
+/**
+ * Optional post-processing for the particle fields: a threshold bloom,
+ * ACES tone mapping, then vignette and film grain.
+ *
+ * Without it the glow comes from additive blending alone, so palettes have
+ * to stay dark to keep overlapping dots from clipping to white. With it the
+ * bright parts bloom and the tone mapping rolls highlights off instead.
+ */
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+
+/**
+ * @typedef {Object} BloomOptions
+ * @property {number} [intensity=1] - Strength of the bloom
+ * @property {number} [radius=0.4] - How far the glow spreads (0..1)
+ * @property {number} [threshold=0.2] - Luminance below which nothing blooms
+ * @property {'high' | 'low'} [quality='high'] - 'low' blurs at half resolution
+ * @property {number} [vignette=0] - Darkening towards the corners (0..1)
+ * @property {number} [grain=0] - Film grain amount (0..1)
+ */
+
+export const DEFAULT_BLOOM = {
+  intensity: 1,
+  radius: 0.4,
+  threshold: 0.2,
+  quality: 'high',
+  vignette: 0,
+  grain: 0,
+};
+
+// Runs after the tone mapping, in display space
+const FINISH_SHADER = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uTime: { value: 0 },
+    uVignette: { value: 0 },
+    uGrain: { value: 0 },
+  },
+  vertexShader: `
+    varying vec2 vUv;
+
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform float uTime;
+    uniform float uVignette;
+    uniform float uGrain;
+
+    varying vec2 vUv;
+
+    float hash(vec2 p) {
+      return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    void main() {
+      vec4 color = texture2D(tDiffuse, vUv);
+
+      float vignette = 1.0 - uVignette * smoothstep(0.3, 0.9, distance(vUv, vec2(0.5)));
+      float grain = (hash(vUv * 1000.0 + fract(uTime)) - 0.5) * uGrain * 0.2;
+      color.rgb = max(color.rgb * vignette + grain * color.a, 0.0);
+
+      // The canvas is transparent: keep the bloom around the dots visible
+      // over the page instead of cutting it off at their alpha
+      color.a = max(color.a, min(1.0, max(color.r, max(color.g, color.b))));
+      gl_FragColor = color;
+    }
+  `,
+};
+
+/**
+ * Builds the pass chain for one renderer; `render()` then replaces
+ * `renderer.render(scene, camera)`. Switches the renderer to ACES tone
+ * mapping until disposed.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.Camera} options.camera
+ * @param {BloomOptions} [options.settings]
+ */
+export const createPostProcessing = ({ renderer, scene, camera, settings = DEFAULT_BLOOM }) => {
+  const size = renderer.getSize(new THREE.Vector2());
+  const previousToneMapping = renderer.toneMapping;
+  renderer.toneMapping = THREE.ACESFilmicToneMapping;
+
+  const composer = new EffectComposer(renderer);
+  const bloomPass = new UnrealBloomPass(size, 1, 0.4, 0.2);
+  const finishPass = new ShaderPass(FINISH_SHADER);
+  composer.addPass(new RenderPass(scene, camera));
+  composer.addPass(bloomPass);
+  composer.addPass(new OutputPass());
+  composer.addPass(finishPass);
+
+  let halfResolution = false;
+  let elapsed = 0;
+
+  // The composer sizes every pass to the canvas; low quality blurs at half that
+  const resizeBloom = () => {
+    const scale = halfResolution ? 0.5 : 1;
+    bloomPass.setSize(
+      Math.round(size.x * renderer.getPixelRatio() * scale),
+      Math.round(size.y * renderer.getPixelRatio() * scale)
+    );
+  };
+
+  const post = {
+    /**
+     * Applies new settings; missing keys take the defaults.
+     *
+     * @param {BloomOptions} next
+     */
+    setSettings(next) {
+      const resolved = { ...DEFAULT_BLOOM, ...next };
+      bloomPass.strength = resolved.intensity;
+      bloomPass.radius = resolved.radius;
+      bloomPass.threshold = resolved.threshold;
+      finishPass.uniforms.uVignette.value = resolved.vignette;
+      finishPass.uniforms.uGrain.value = resolved.grain;
+
+      if ((resolved.quality === 'low') !== halfResolution) {
+        halfResolution = resolved.quality === 'low';
+        resizeBloom();
+      }
+    },
+
+    // Call after the renderer's size or pixel ratio changed
+    setSize(width, height) {
+      size.set(width, height);
+      composer.setPixelRatio(renderer.getPixelRatio());
+      composer.setSize(width, height);
+      resizeBloom();
+    },
+
+    render(delta) {
+      elapsed += delta;
+      finishPass.uniforms.uTime.value = elapsed;
+      composer.render(delta);
+    },
+
+    dispose() {
+      composer.passes.forEach((pass) => pass.dispose());
+      composer.dispose();
+      renderer.toneMapping = previousToneMapping;
+    },
+  };
+
+  post.setSettings(settings);
+  return post;
+};
@@ -0,0 +1,430 @@
+/**
+ * Scene presets: a whole particle scene as versioned JSON.
+ *
+ * A preset describes everything about the morph that is data rather than
+ * code (grid density, shape targets, theme and palette, wave layers, noise,
+ * camera poses and interaction settings), so scenes can live in the repo as JSON
+ * files, be swapped per page and be tried as A/B variants without touching
+ * the components.
+ *
+ * Every section is optional; whatever a preset leaves out keeps the
+ * component default. Presets written for an older version are migrated
+ * forward on load, and anything that does not fit the schema is rejected
+ * with one message per problem. src/presets/README.md documents the schema
+ * section by section.
+ *
+ * Version history:
+ *   0 - the flat look object exported by the first tweak panel
+ *       ({ waveFrequency1, ..., surfacePointScale }, no `version` key)
+ *   1 - sectioned scene preset
+ *   2 - springs: interaction.scrollSmoothing / mouseSmoothing (per-frame
+ *       lerp factors) become scrollResponse / mouseResponse in seconds;
+ *       adds the `velocity` section (below)
+ */
+
+import { WAVE_COUNT } from './look';
+import { SHAPES } from './shapes';
+import { lerpFactorToResponse } from './spring';
+import { THEMES } from './themes';
+import { TRAJECTORIES } from './trajectories';
+
+export const PRESET_VERSION = 2;
+
+/**
+ * @typedef {Object} PresetGeometry
+ * @property {number} [width] - Width of the wave grid in world units
+ * @property {number} [height] - Height of the wave grid in world units
+ * @property {number} [segmentsX] - Grid segments along X
+ * @property {number} [segmentsY] - Grid segments along Y
+ * @property {number} [sphereRadius] - Radius of the default sphere stage
+ * @property {'uv' | 'fibonacci'} [sphereDistribution] - Dot layout of the default sphere stage
+ */
+
+/**
+ * @typedef {Object} PresetInteraction
+ * @property {number} [scrollRange] - Viewport heights of scroll for the full morph
+ * @property {number} [scrollResponse] - Seconds the morph takes to catch up 90% of a scroll jump
+ * @property {number} [mouseResponse] - Seconds the bulge takes to catch up 90% of a pointer move
+ * @property {'linear' | 'curl' | 'vortex' | 'scatter'} [transition] - Default path between stages
+ * @property {{ strength?: number, speed?: number, lifetime?: number } | false} [ripple] - Click shockwaves, or false
+ * @property {{ stiffness?: number, damping?: number } | boolean} [physics] - Spring simulation for the pointer push
+ */
+
+/**
+ * @typedef {Object} ScenePreset
+ * @property {number} version - PRESET_VERSION the preset was written for
+ * @property {string} [name] - Label for humans and error messages
+ * @property {string} [description]
+ * @property {PresetGeometry} [geometry]
+ * @property {Object[]} [stages] - Morph timeline (see MorphStage in final.jsx); `shape` must be a registered shape name
+ * @property {string | Object} [theme] - Theme name (see lib/themes) or a theme object; ramps as hex colour stops or image URLs
+ * @property {[string, string, string]} [palette] - Deep, mid and highlight wave colour as hex strings; replaces the theme's
+ * @property {{ frequency?: number, amplitude?: number }[]} [waves] - Up to six wave layers, in shader order
+ * @property {{ scale?: number, displacement?: number, spin?: number }} [noise] - Surface noise and spin
+ * @property {{ size?: number, surfaceScale?: number }} [points] - Dot size on the wave, and its multiplier on surfaces
+ * @property {{ scatter?: number, blur?: number }} [velocity] - How far fast scrolling scatters the dots, and how much it blurs them
+ * @property {{ wave?: import('./cameraPose').CameraPose, sphere?: import('./cameraPose').CameraPose }} [camera] - Default stage poses
+ * @property {PresetInteraction} [interaction]
+ */
+
+// Preset section keys -> look keys (see lib/look)
+const LOOK_SECTIONS = {
+  noise: { scale: 'noiseScale', displacement: 'displacement', spin: 'spin' },
+  points: { size: 'pointSize', surfaceScale: 'surfacePointScale' },
+  velocity: { scatter: 'velocityScatter', blur: 'velocityBlur' },
+};
+
+/**
+ * Splits a look into the `waves`, `noise`, `points` and `velocity` preset
+ * sections.
+ */
+export const lookToPreset = (look) => ({
+  waves: Array.from({ length: WAVE_COUNT }, (_, i) => ({
+    frequency: look[`waveFrequency${i + 1}`],
+    amplitude: look[`waveAmplitude${i + 1}`],
+  })),
+  ...Object.fromEntries(Object.entries(LOOK_SECTIONS).map(([section, keys]) => [
+    section,
+    Object.fromEntries(Object.entries(keys).map(([key, lookKey]) => [key, look[lookKey]])),
+  ])),
+});
+
+// The partial look a preset sets; the rest stays with the look defaults
+const presetToLook = ({ waves = [], ...sections }) => {
+  const look = {};
+  waves.forEach(({ frequency, amplitude }, i) => {
+    if (frequency !== undefined) look[`waveFrequency${i + 1}`] = frequency;
+    if (amplitude !== undefined) look[`waveAmplitude${i + 1}`] = amplitude;
+  });
+  for (const [section, keys] of Object.entries(LOOK_SECTIONS)) {
+    for (const [key, lookKey] of Object.entries(keys)) {
+      if (sections[section]?.[key] !== undefined) look[lookKey] = sections[section][key];
+    }
+  }
+  return look;
+};
+
+// ============================================
+// MIGRATION
+// ============================================
+
+// Each step takes a preset of its version to the next one
+const MIGRATIONS = {
+  0: (flatLook) => {
+    // Look keys move into their sections; anything else is left at the top
+    // level, where validation reports it
+    const lookKeys = [
+      ...Array.from({ length: WAVE_COUNT }, (_, i) => [`waveFrequency${i + 1}`, `waveAmplitude${i + 1}`]).flat(),
+      ...Object.values(LOOK_SECTIONS).flatMap((keys) => Object.values(keys)),
+    ];
+    const rest = Object.fromEntries(Object.entries(flatLook).filter(([key]) => !lookKeys.includes(key)));
+    const sections = lookToPreset(flatLook);
+    return {
+      ...rest,
+      version: 1,
+      waves: sections.waves,
+      noise: sections.noise,
+      points: sections.points,
+    };
+  },
+  1: (preset) => {
+    const { interaction } = preset;
+    if (!isObject(interaction)) return { ...preset, version: 2 };
+
+    // Lerp factors were per frame; the springs take the response time a
+    // factor had at 60 fps. Anything else is carried over for validation
+    const { scrollSmoothing, mouseSmoothing, ...rest } = interaction;
+    const toResponse = (factor) => (Number.isFinite(factor) ? lerpFactorToResponse(factor) : factor);
+    const migrated = { ...rest };
+    if (scrollSmoothing !== undefined) migrated.scrollResponse = toResponse(scrollSmoothing);
+    if (mouseSmoothing !== undefined) migrated.mouseResponse = toResponse(mouseSmoothing);
+    return { ...preset, interaction: migrated, version: 2 };
+  },
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Brings a preset of any supported version up to PRESET_VERSION.
+ */
+export const migratePreset = (preset) => {
+  if (!isObject(preset)) {
+    throw new Error('A particle preset must be a JSON object');
+  }
+
+  let migrated = preset;
+  let version = preset.version ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Unknown particle preset version ${JSON.stringify(preset.version)}`);
+  }
+  if (version > PRESET_VERSION) {
+    throw new Error(`Particle preset version ${version} is newer than this build supports (${PRESET_VERSION})`);
+  }
+
+  while (version < PRESET_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.version;
+  }
+  return migrated;
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+const PRESET_SECTIONS = [
+  'version', 'name', 'description', 'geometry', 'stages', 'theme', 'palette',
+  'waves', 'noise', 'points', 'velocity', 'camera', 'interaction',
+];
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+// A ramp stop: hex colour, optionally followed by a position
+const RAMP_STOP = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})(?:\s+-?\d*\.?\d+%)?$/i;
+
+// JSON would print NaN and Infinity, which object presets can hold, as null
+const formatValue = (value) => (typeof value === 'number' ? String(value) : JSON.stringify(value));
+
+const checkNumber = (errors, path, value, { min = -Infinity, max = Infinity, integer = false } = {}) => {
+  if (value === undefined) return;
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    const range = [
+      min > -Infinity && `>= ${min}`,
+      max < Infinity && `<= ${max}`,
+    ].filter(Boolean).join(' and ');
+    errors.push(`${path} must be ${integer ? 'an integer' : 'a number'}${range ? ` ${range}` : ''}, got ${formatValue(value)}`);
+  }
+};
+
+const checkOneOf = (errors, path, value, options) => {
+  if (value !== undefined && !options.includes(value)) {
+    errors.push(`${path} must be one of ${options.map((option) => `"${option}"`).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+};
+
+// False when the section is missing or not an object; reports unknown keys
+const checkSection = (errors, path, value, keys) => {
+  if (value === undefined) return false;
+  if (!isObject(value)) {
+    errors.push(`${path} must be an object`);
+    return false;
+  }
+  for (const key of Object.keys(value)) {
+    if (!keys.includes(key)) errors.push(`${path}.${key} is not a preset setting`);
+  }
+  return true;
+};
+
+const checkVec3 = (errors, path, value) => {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+    errors.push(`${path} must be an [x, y, z] array of numbers`);
+  }
+};
+
+const checkPose = (errors, path, pose) => {
+  if (!checkSection(errors, path, pose, ['position', 'lookAt', 'up'])) return;
+  for (const key of ['position', 'lookAt', 'up']) {
+    checkVec3(errors, `${path}.${key}`, pose[key]);
+  }
+};
+
+const checkColors = (errors, path, value, count, label) => {
+  if (!Array.isArray(value) || value.length !== count) {
+    errors.push(`${path} must be an array of ${label}`);
+    return;
+  }
+  value.forEach((color, i) => {
+    if (typeof color !== 'string' || !HEX_COLOR.test(color)) {
+      errors.push(`${path}[${i}] must be a hex colour such as "#FF4500", got ${JSON.stringify(color)}`);
+    }
+  });
+};
+
+const checkRamp = (errors, path, ramp) => {
+  if (typeof ramp === 'string') {
+    if (!ramp) errors.push(`${path} must be an image URL or an array of colour stops`);
+    return;
+  }
+  if (!Array.isArray(ramp) || ramp.length === 0) {
+    errors.push(`${path} must be an image URL or an array of colour stops`);
+    return;
+  }
+  ramp.forEach((stop, i) => {
+    if (typeof stop === 'string') {
+      if (!RAMP_STOP.test(stop.trim())) {
+        errors.push(`${path}[${i}] must be a hex colour with an optional position, such as "#FF4500 60%", got ${JSON.stringify(stop)}`);
+      }
+      return;
+    }
+    if (checkSection(errors, `${path}[${i}]`, stop, ['color', 'at'])) {
+      if (typeof stop.color !== 'string' || !HEX_COLOR.test(stop.color)) {
+        errors.push(`${path}[${i}].color must be a hex colour such as "#FF4500", got ${JSON.stringify(stop.color)}`);
+      }
+      checkNumber(errors, `${path}[${i}].at`, stop.at, { min: 0, max: 1 });
+    }
+  });
+};
+
+const checkTheme = (errors, path, theme) => {
+  if (typeof theme === 'string') {
+    if (!Object.hasOwn(THEMES, theme)) {
+      errors.push(`${path} must be one of ${Object.keys(THEMES).join(', ')} (or a name passed to registerTheme), got "${theme}"`);
+    }
+    return;
+  }
+  if (!checkSection(errors, path, theme, ['wave', 'surface', 'background', 'blending', 'softness'])) return;
+  if (theme.wave !== undefined) checkRamp(errors, `${path}.wave`, theme.wave);
+  if (theme.surface !== undefined) checkRamp(errors, `${path}.surface`, theme.surface);
+  if (theme.background !== undefined) checkColors(errors, `${path}.background`, theme.background, 2, 'two colours (centre, edge)');
+  checkOneOf(errors, `${path}.blending`, theme.blending, ['additive', 'normal']);
+  checkNumber(errors, `${path}.softness`, theme.softness, { min: 0, max: 1 });
+};
+
+const checkStage = (errors, path, stage) => {
+  if (!isObject(stage)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (typeof stage.name !== 'string' || !stage.name) {
+    errors.push(`${path}.name must be a non-empty string`);
+  }
+  if (typeof stage.shape !== 'string' || !Object.hasOwn(SHAPES, stage.shape)) {
+    errors.push(`${path}.shape must be one of ${Object.keys(SHAPES).join(', ')} (or a name passed to registerShape), got ${JSON.stringify(stage.shape)}`);
+  }
+  checkNumber(errors, `${path}.at`, stage.at, { min: 0, max: 1 });
+  if (stage.camera !== undefined) checkPose(errors, `${path}.camera`, stage.camera);
+  checkNumber(errors, `${path}.displacement`, stage.displacement);
+  checkNumber(errors, `${path}.spin`, stage.spin);
+  checkOneOf(errors, `${path}.transition`, stage.transition, Object.keys(TRAJECTORIES));
+  checkNumber(errors, `${path}.transitionStrength`, stage.transitionStrength);
+};
+
+const checkToggleSection = (errors, path, value, keys) => {
+  if (typeof value === 'boolean') return;
+  if (checkSection(errors, path, value, keys)) {
+    for (const key of keys) {
+      checkNumber(errors, `${path}.${key}`, value[key], { min: 0 });
+    }
+  }
+};
+
+/**
+ * Checks a current-version preset against the schema. Throws one error
+ * listing every problem found.
+ *
+ * @param {ScenePreset} preset
+ * @returns {ScenePreset}
+ */
+export const validatePreset = (preset) => {
+  const errors = [];
+  for (const key of Object.keys(preset)) {
+    if (!PRESET_SECTIONS.includes(key)) errors.push(`${key} is not a preset setting`);
+  }
+
+  for (const key of ['name', 'description']) {
+    if (preset[key] !== undefined && typeof preset[key] !== 'string') {
+      errors.push(`${key} must be a string`);
+    }
+  }
+
+  const { geometry, stages, theme, palette, waves, camera, interaction } = preset;
+
+  if (checkSection(errors, 'geometry', geometry, ['width', 'height', 'segmentsX', 'segmentsY', 'sphereRadius', 'sphereDistribution'])) {
+    checkNumber(errors, 'geometry.width', geometry.width, { min: 0 });
+    checkNumber(errors, 'geometry.height', geometry.height, { min: 0 });
+    checkNumber(errors, 'geometry.segmentsX', geometry.segmentsX, { min: 1, integer: true });
+    checkNumber(errors, 'geometry.segmentsY', geometry.segmentsY, { min: 1, integer: true });
+    checkNumber(errors, 'geometry.sphereRadius', geometry.sphereRadius, { min: 0 });
+    checkOneOf(errors, 'geometry.sphereDistribution', geometry.sphereDistribution, ['uv', 'fibonacci']);
+  }
+
+  if (stages !== undefined) {
+    if (!Array.isArray(stages) || stages.length < 2) {
+      errors.push('stages must be an array of at least two stages');
+    } else {
+      stages.forEach((stage, i) => checkStage(errors, `stages[${i}]`, stage));
+    }
+  }
+
+  if (theme !== undefined) checkTheme(errors, 'theme', theme);
+  if (palette !== undefined) checkColors(errors, 'palette', palette, 3, 'three colours (deep, mid, highlight)');
+
+  if (waves !== undefined) {
+    if (!Array.isArray(waves) || waves.length > WAVE_COUNT) {
+      errors.push(`waves must be an array of at most ${WAVE_COUNT} layers`);
+    } else {
+      waves.forEach((wave, i) => {
+        if (checkSection(errors, `waves[${i}]`, wave, ['frequency', 'amplitude'])) {
+          checkNumber(errors, `waves[${i}].frequency`, wave.frequency, { min: 0 });
+          checkNumber(errors, `waves[${i}].amplitude`, wave.amplitude, { min: 0 });
+        }
+      });
+    }
+  }
+
+  for (const [section, keys] of Object.entries(LOOK_SECTIONS)) {
+    if (checkSection(errors, section, preset[section], Object.keys(keys))) {
+      for (const key of Object.keys(keys)) {
+        checkNumber(errors, `${section}.${key}`, preset[section][key], { min: 0 });
+      }
+    }
+  }
+
+  if (checkSection(errors, 'camera', camera, ['wave', 'sphere'])) {
+    if (camera.wave !== undefined) checkPose(errors, 'camera.wave', camera.wave);
+    if (camera.sphere !== undefined) checkPose(errors, 'camera.sphere', camera.sphere);
+  }
+
+  if (checkSection(errors, 'interaction', interaction, ['scrollRange', 'scrollResponse', 'mouseResponse', 'transition', 'ripple', 'physics'])) {
+    checkNumber(errors, 'interaction.scrollRange', interaction.scrollRange, { min: 0 });
+    checkNumber(errors, 'interaction.scrollResponse', interaction.scrollResponse, { min: 0 });
+    checkNumber(errors, 'interaction.mouseResponse', interaction.mouseResponse, { min: 0 });
+    checkOneOf(errors, 'interaction.transition', interaction.transition, Object.keys(TRAJECTORIES));
+    checkToggleSection(errors, 'interaction.ripple', interaction.ripple, ['strength', 'speed', 'lifetime']);
+    checkToggleSection(errors, 'interaction.physics', interaction.physics, ['stiffness', 'damping']);
+  }
+
+  if (errors.length > 0) {
+    const label = typeof preset.name === 'string' ? ` "${preset.name}"` : '';
+    throw new Error(`Invalid particle preset${label}:\n  ${errors.join('\n  ')}`);
+  }
+  return preset;
+};
+
+/**
+ * Migrates and validates a preset object.
+ *
+ * @returns {ScenePreset}
+ */
+export const loadPreset = (preset) => validatePreset(migratePreset(preset));
+
+/**
+ * Reads a preset from JSON text, e.g. a file from the tweak panel.
+ *
+ * @returns {ScenePreset}
+ */
+export const parsePreset = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Particle preset is not valid JSON: ${error.message}`);
+  }
+  return loadPreset(json);
+};
+
+/**
+ * The MorphingWaveToSphere props a loaded preset sets. Props passed to the
+ * component directly win over these.
+ *
+ * @param {ScenePreset} preset
+ */
+export const presetToProps = (preset) => {
+  const { geometry, stages, theme, palette, camera = {}, interaction } = preset;
+  const props = { ...geometry, ...interaction, look: presetToLook(preset) };
+  if (stages) props.stages = stages;
+  if (theme) props.theme = theme;
+  if (palette) props.colors = palette;
+  if (camera.wave) props.waveCamera = camera.wave;
+  if (camera.sphere) props.sphereCamera = camera.sphere;
+  return props;
+};
@@ -0,0 +1,262 @@
+import { describe, expect, it } from 'vitest';
+import { PRESETS } from '../presets';
+import { loadPreset, migratePreset, parsePreset, PRESET_VERSION, presetToProps, validatePreset } from './preset';
+
+// The message validatePreset throws, one problem per line
+const getProblems = (preset) => {
+  try {
+    validatePreset(preset);
+  } catch (error) {
+    return error.message.split('\n').slice(1).map((line) => line.trim());
+  }
+  return [];
+};
+
+const POSE = { position: [0, 30, 80], lookAt: [0, 0, 0], up: [0, 1, 0] };
+
+describe('migratePreset', () => {
+  it('sections a version 0 flat look and carries it through to the current version', () => {
+    const migrated = migratePreset({
+      waveFrequency1: 0.01,
+      waveAmplitude1: 9,
+      waveAmplitude3: 2,
+      noiseScale: 0.2,
+      spin: 0.5,
+      pointSize: 3,
+    });
+
+    expect(migrated.version).toBe(PRESET_VERSION);
+    expect(migrated.waves[0]).toEqual({ frequency: 0.01, amplitude: 9 });
+    expect(migrated.waves[2]).toEqual({ frequency: undefined, amplitude: 2 });
+    expect(migrated.noise).toEqual({ scale: 0.2, displacement: undefined, spin: 0.5 });
+    expect(migrated.points).toEqual({ size: 3, surfaceScale: undefined });
+    expect(() => validatePreset(migrated)).not.toThrow();
+  });
+
+  it('leaves keys a version 0 look does not know at the top level for validation', () => {
+    const migrated = migratePreset({ waveFrequency1: 0.01, glow: 2 });
+    expect(migrated.glow).toBe(2);
+    expect(getProblems(migrated)).toEqual(['glow is not a preset setting']);
+  });
+
+  it('turns version 1 per-frame smoothing factors into response times', () => {
+    const migrated = migratePreset({
+      version: 1,
+      interaction: { scrollSmoothing: 0.05, mouseSmoothing: 1, scrollRange: 2 },
+    });
+
+    expect(migrated.version).toBe(2);
+    expect(migrated.interaction.scrollResponse).toBeCloseTo(0.75);
+    expect(migrated.interaction.mouseResponse).toBe(0);
+    expect(migrated.interaction.scrollRange).toBe(2);
+    expect(migrated.interaction).not.toHaveProperty('scrollSmoothing');
+    expect(migrated.interaction).not.toHaveProperty('mouseSmoothing');
+  });
+
+  it('carries a version 1 smoothing that is not a number over for validation', () => {
+    const migrated = migratePreset({ version: 1, interaction: { scrollSmoothing: 'fast' } });
+    expect(getProblems(migrated)).toEqual(['interaction.scrollResponse must be a number >= 0, got "fast"']);
+  });
+
+  it('migrates a version 1 preset without interaction settings', () => {
+    expect(migratePreset({ version: 1, name: 'plain' })).toEqual({ version: 2, name: 'plain' });
+  });
+
+  it('leaves a current preset as it is', () => {
+    const preset = { version: PRESET_VERSION, noise: { spin: 1 } };
+    expect(migratePreset(preset)).toBe(preset);
+  });
+
+  it('rejects what it cannot migrate', () => {
+    expect(() => migratePreset(null)).toThrow('A particle preset must be a JSON object');
+    expect(() => migratePreset([])).toThrow('A particle preset must be a JSON object');
+    expect(() => migratePreset({ version: 1.5 })).toThrow('Unknown particle preset version 1.5');
+    expect(() => migratePreset({ version: '2' })).toThrow('Unknown particle preset version "2"');
+    expect(() => migratePreset({ version: -1 })).toThrow('Unknown particle preset version -1');
+    expect(() => migratePreset({ version: PRESET_VERSION + 1 })).toThrow(
+      `Particle preset version ${PRESET_VERSION + 1} is newer than this build supports (${PRESET_VERSION})`
+    );
+  });
+});
+
+describe('validatePreset', () => {
+  it('accepts a preset using every section', () => {
+    const preset = {
+      version: PRESET_VERSION,
+      name: 'full',
+      description: 'Every section set',
+      geometry: { width: 200, height: 100, segmentsX: 100, segmentsY: 50, sphereRadius: 18, sphereDistribution: 'fibonacci' },
+      stages: [
+        { name: 'wave', shape: 'wave' },
+        { name: 'ring', shape: 'torus', at: 0.6, camera: POSE, spin: 0.2, transition: 'vortex', transitionStrength: 2 },
+        { name: 'ball', shape: 'sphere', radius: 20 },
+      ],
+      theme: { wave: ['#000', '#FF4500 60%', { color: '#FFD700', at: 1 }], surface: '/ramp.png', background: ['#111', '#000000'], blending: 'normal', softness: 0.5 },
+      palette: ['#420000', '#FF0F00', '#FFAD00'],
+      waves: [{ frequency: 0.02, amplitude: 8 }, {}],
+      noise: { scale: 0.1, displacement: 2, spin: 0.3 },
+      points: { size: 4, surfaceScale: 80 },
+      velocity: { scatter: 3, blur: 0.5 },
+      camera: { wave: POSE, sphere: POSE },
+      interaction: {
+        scrollRange: 2,
+        scrollResponse: 0.5,
+        mouseResponse: 0.3,
+        transition: 'curl',
+        ripple: false,
+        physics: { stiffness: 40, damping: 6 },
+      },
+    };
+    expect(validatePreset(preset)).toBe(preset);
+  });
+
+  it('accepts a named theme and toggles for ripples and physics', () => {
+    expect(getProblems({ version: 2, theme: 'ember', interaction: { ripple: true, physics: true } })).toEqual([]);
+  });
+
+  it('names the preset and lists every problem', () => {
+    expect(() => validatePreset({ version: 2, name: 'broken', noise: { spin: -1 }, points: { size: 'big' } })).toThrow(
+      'Invalid particle preset "broken":\n'
+      + '  noise.spin must be a number >= 0, got -1\n'
+      + '  points.size must be a number >= 0, got "big"'
+    );
+  });
+
+  it('reports unknown sections and settings', () => {
+    expect(getProblems({ version: 2, colour: 'red', geometry: { depth: 3 }, noise: 0.5 })).toEqual([
+      'colour is not a preset setting',
+      'geometry.depth is not a preset setting',
+      'noise must be an object',
+    ]);
+  });
+
+  it('checks geometry ranges and options', () => {
+    expect(getProblems({
+      version: 2,
+      name: 3,
+      geometry: { width: -1, segmentsX: 10.5, segmentsY: 0, sphereDistribution: 'spiral' },
+    })).toEqual([
+      'name must be a string',
+      'geometry.width must be a number >= 0, got -1',
+      'geometry.segmentsX must be an integer >= 1, got 10.5',
+      'geometry.segmentsY must be an integer >= 1, got 0',
+      'geometry.sphereDistribution must be one of "uv", "fibonacci", got "spiral"',
+    ]);
+  });
+
+  it('checks the stages', () => {
+    expect(getProblems({ version: 2, stages: [{ name: 'only', shape: 'wave' }] })).toEqual([
+      'stages must be an array of at least two stages',
+    ]);
+
+    const problems = getProblems({
+      version: 2,
+      stages: [
+        'wave',
+        { shape: 'constructor', at: 2, transition: 'spiral' },
+        { name: 'ball', shape: 'sphere', camera: { position: [0, 0], lookAt: [0, 0, 0], up: [0, 1, 0] } },
+      ],
+    });
+    expect(problems).toHaveLength(6);
+    expect(problems[0]).toBe('stages[0] must be an object');
+    expect(problems[1]).toBe('stages[1].name must be a non-empty string');
+    expect(problems[2]).toMatch(/^stages\[1\]\.shape must be one of wave, sphere, .* \(or a name passed to registerShape\), got "constructor"$/);
+    expect(problems[3]).toBe('stages[1].at must be a number >= 0 and <= 1, got 2');
+    expect(problems[4]).toBe('stages[1].transition must be one of "linear", "curl", "vortex", "scatter", got "spiral"');
+    expect(problems[5]).toBe('stages[2].camera.position must be an [x, y, z] array of numbers');
+  });
+
+  it('checks theme names, ramps and palettes', () => {
+    const [unknownTheme] = getProblems({ version: 2, theme: 'toString' });
+    expect(unknownTheme).toMatch(/^theme must be one of ember, .* \(or a name passed to registerTheme\), got "toString"$/);
+
+    expect(getProblems({
+      version: 2,
+      theme: { wave: [], surface: ['#FF4500 sixty', { color: 'red', at: 2 }], blending: 'screen', softness: 2 },
+      palette: ['#000', '#FFF'],
+    })).toEqual([
+      'theme.wave must be an image URL or an array of colour stops',
+      'theme.surface[0] must be a hex colour with an optional position, such as "#FF4500 60%", got "#FF4500 sixty"',
+      'theme.surface[1].color must be a hex colour such as "#FF4500", got "red"',
+      'theme.surface[1].at must be a number >= 0 and <= 1, got 2',
+      'theme.blending must be one of "additive", "normal", got "screen"',
+      'theme.softness must be a number >= 0 and <= 1, got 2',
+      'palette must be an array of three colours (deep, mid, highlight)',
+    ]);
+
+    expect(getProblems({ version: 2, palette: ['#000', 'orange', '#FFF'] })).toEqual([
+      'palette[1] must be a hex colour such as "#FF4500", got "orange"',
+    ]);
+  });
+
+  it('checks waves, cameras and interaction', () => {
+    expect(getProblems({ version: 2, waves: Array(7).fill({}) })).toEqual([
+      'waves must be an array of at most 6 layers',
+    ]);
+    expect(getProblems({
+      version: 2,
+      waves: [{ frequency: -0.1, speed: 1 }],
+      camera: { wave: { position: [0, 0, 1], lookAt: [0, 0, 0] }, side: POSE },
+      interaction: { scrollResponse: NaN, ripple: { strength: -1 }, physics: 'on', transition: 'warp' },
+    })).toEqual([
+      'waves[0].speed is not a preset setting',
+      'waves[0].frequency must be a number >= 0, got -0.1',
+      'camera.side is not a preset setting',
+      'camera.wave.up must be an [x, y, z] array of numbers',
+      'interaction.scrollResponse must be a number >= 0, got NaN',
+      'interaction.transition must be one of "linear", "curl", "vortex", "scatter", got "warp"',
+      'interaction.ripple.strength must be a number >= 0, got -1',
+      'interaction.physics must be an object',
+    ]);
+  });
+});
+
+describe('the preset library', () => {
+  it('has presets', () => {
+    expect(Object.keys(PRESETS).length).toBeGreaterThan(0);
+  });
+
+  it.each(Object.entries(PRESETS))('loads "%s"', (name, preset) => {
+    expect(() => loadPreset(preset)).not.toThrow();
+  });
+});
+
+describe('parsePreset', () => {
+  it('migrates and validates JSON text', () => {
+    expect(parsePreset('{ "noiseScale": 0.2 }').noise.scale).toBe(0.2);
+    expect(() => parsePreset('{ "version": 2, "speed": 1 }')).toThrow('speed is not a preset setting');
+  });
+
+  it('reports text that is not JSON', () => {
+    expect(() => parsePreset('{ version: 2 }')).toThrow(/^Particle preset is not valid JSON: /);
+  });
+});
+
+describe('presetToProps', () => {
+  it('maps the sections onto component props', () => {
+    const props = presetToProps({
+      version: 2,
+      geometry: { segmentsX: 100 },
+      theme: 'tide',
+      palette: ['#000', '#111', '#222'],
+      waves: [{ amplitude: 2 }],
+      noise: { spin: 0.5 },
+      velocity: { blur: 0 },
+      camera: { sphere: POSE },
+      interaction: { scrollRange: 2 },
+    });
+
+    expect(props).toEqual({
+      segmentsX: 100,
+      scrollRange: 2,
+      theme: 'tide',
+      colors: ['#000', '#111', '#222'],
+      sphereCamera: POSE,
+      look: { waveAmplitude1: 2, spin: 0.5, velocityBlur: 0 },
+    });
+  });
+
+  it('sets nothing but an empty look for an empty preset', () => {
+    expect(presetToProps({ version: 2 })).toEqual({ look: {} });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Adaptive render quality.
+ *
+ * Quality is a ladder of levels from best to cheapest. The governor measures
+ * frame times in one-second windows and steps down the ladder while the frame
+ * rate stays under the target, and back up once it has had headroom for a
+ * while. Every step is followed by a cool-down so the cost of the change
+ * itself (a new context, a geometry rebuild) is never measured, and an upgrade
+ * that has to be undone makes the next attempt wait twice as long, so the
+ * level settles instead of flapping.
+ */
+
+// Frames longer than this are hitches (tab switch, GC, rebuild), not load
+const MAX_FRAME_TIME = 0.25;
+const WINDOW_TIME = 1;
+const COOL_DOWN_TIME = 2;
+// Consecutive slow windows before stepping down
+const DOWNGRADE_WINDOWS = 2;
+// Consecutive fast windows before trying a step up, doubled after each failed try
+const UPGRADE_WINDOWS = 5;
+const MAX_UPGRADE_WINDOWS = 80;
+// A step down this soon after a step up means the upgrade did not fit
+const UPGRADE_PROBATION_TIME = 6;
+// Headroom needed above the target, capped just under a 60 Hz display's rate
+const UPGRADE_HEADROOM_FPS = 10;
+const FULL_SPEED_FPS = 57;
+
+/**
+ * @typedef {Object} QualityLevel
+ * @property {number} pixelRatio - Upper bound for the renderer pixel ratio
+ * @property {boolean} antialias - Whether the context is created with MSAA
+ * @property {number} density - Fraction of the grid segments to build (0..1]
+ */
+
+/**
+ * The steps in the order they are given up: pixel ratio first, then
+ * antialiasing, then particle density. Steps that change nothing on this
+ * display (e.g. a pixel ratio cap above the device's own) are skipped.
+ *
+ * @param {number} devicePixelRatio
+ * @returns {QualityLevel[]}
+ */
+export const createQualityLevels = (devicePixelRatio) => {
+  const maxPixelRatio = Math.min(devicePixelRatio, 2);
+  const steps = [
+    { pixelRatio: maxPixelRatio, antialias: true, density: 1 },
+    { pixelRatio: Math.min(maxPixelRatio, 1.5), antialias: true, density: 1 },
+    { pixelRatio: Math.min(maxPixelRatio, 1), antialias: true, density: 1 },
+    { pixelRatio: Math.min(maxPixelRatio, 1), antialias: false, density: 1 },
+    { pixelRatio: Math.min(maxPixelRatio, 1), antialias: false, density: 0.75 },
+    { pixelRatio: Math.min(maxPixelRatio, 1), antialias: false, density: 0.5 },
+  ];
+
+  return steps.filter((step, i) => {
+    const previous = steps[i - 1];
+    return !previous
+      || step.pixelRatio !== previous.pixelRatio
+      || step.antialias !== previous.antialias
+      || step.density !== previous.density;
+  });
+};
+
+/**
+ * Creates a governor for `levelCount` quality levels, starting at level 0.
+ * Feed it every frame's delta; `onChange(level)` is called whenever it
+ * decides on a new level.
+ *
+ * @param {{ levelCount: number, onChange: (level: number) => void }} options
+ */
+export const createQualityGovernor = ({ levelCount, onChange }) => {
+  let level = 0;
+  let coolDown = COOL_DOWN_TIME;
+  let windowTime = 0;
+  let windowFrames = 0;
+  let slowWindows = 0;
+  let fastWindows = 0;
+  let upgradeWindows = UPGRADE_WINDOWS;
+  let sinceUpgrade = Infinity;
+
+  const setLevel = (next) => {
+    level = next;
+    coolDown = COOL_DOWN_TIME;
+    windowTime = 0;
+    windowFrames = 0;
+    slowWindows = 0;
+    fastWindows = 0;
+    onChange(level);
+  };
+
+  const endWindow = (minFps) => {
+    const fps = windowFrames / windowTime;
+    windowTime = 0;
+    windowFrames = 0;
+
+    if (fps < minFps) {
+      slowWindows += 1;
+      fastWindows = 0;
+    } else if (fps >= Math.min(minFps + UPGRADE_HEADROOM_FPS, FULL_SPEED_FPS)) {
+      fastWindows += 1;
+      slowWindows = 0;
+    } else {
+      slowWindows = 0;
+      fastWindows = 0;
+    }
+
+    if (slowWindows >= DOWNGRADE_WINDOWS && level < levelCount - 1) {
+      if (sinceUpgrade < UPGRADE_PROBATION_TIME) {
+        upgradeWindows = Math.min(upgradeWindows * 2, MAX_UPGRADE_WINDOWS);
+      }
+      sinceUpgrade = Infinity;
+      setLevel(level + 1);
+    } else if (fastWindows >= upgradeWindows && level > 0) {
+      sinceUpgrade = 0;
+      setLevel(level - 1);
+    }
+  };
+
+  return {
+    /**
+     * @param {number} delta - Seconds since the previous frame
+     * @param {number} minFps - Frame rate to hold
+     */
+    update(delta, minFps) {
+      if (delta <= 0 || delta > MAX_FRAME_TIME) return;
+
+      sinceUpgrade += delta;
+      if (coolDown > 0) {
+        coolDown -= delta;
+        return;
+      }
+
+      windowTime += delta;
+      windowFrames += 1;
+      if (windowTime >= WINDOW_TIME) endWindow(minFps);
+    },
+  };
+};
@@ -0,0 +1,231 @@
+/**
+ * Text and SVG shape generators.
+ *
+ * The shape is filled on an offscreen 2D canvas and the particles are
+ * sampled from the filled pixels, so anything the canvas can draw becomes a
+ * flat morph target facing the camera (z = 0, normals along +Z).
+ *
+ * Grid index order is kept: filled pixels are read row by row from the top,
+ * which matches the PlaneGeometry vertex order, so rows of the wave land on
+ * rows of the shape and paths do not cross wildly during the morph.
+ */
+
+const BASE_RASTER_SIZE = 512;
+const MAX_RASTER_SIZE = 2048;
+const GENERIC_FONT_FAMILIES = new Set(['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui']);
+
+const rasterize = (width, height, draw) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.fillStyle = '#ffffff';
+  draw(ctx);
+
+  return { pixels: ctx.getImageData(0, 0, width, height).data, width, height };
+};
+
+const countFilled = ({ pixels }) => {
+  let filled = 0;
+  for (let i = 3; i < pixels.length; i += 4) {
+    if (pixels[i] > 127) filled++;
+  }
+  return filled;
+};
+
+// Renders at the base size first, then once more at a size that yields at
+// least one filled pixel per particle, so extra particles rarely need to share
+const rasterizeForCount = (count, render) => {
+  const raster = render(1);
+  const filled = countFilled(raster);
+  if (filled === 0 || filled >= count) return raster;
+
+  const longest = Math.max(raster.width, raster.height);
+  const scale = Math.min(Math.sqrt(count / filled) * 1.2, MAX_RASTER_SIZE / longest);
+  return scale > 1 ? render(scale) : raster;
+};
+
+/**
+ * Picks one point per particle from the filled pixels of a raster.
+ *
+ * `overflow` decides what happens when the shape has fewer sample cells than
+ * particles: "redistribute" spreads the extra particles over the whole shape,
+ * "hide" parks them on the shape and marks them invisible.
+ */
+const sampleRaster = ({ pixels, width, height }, count, { worldWidth, overflow }) => {
+  const filled = countFilled({ pixels });
+  if (filled === 0) {
+    throw new Error('Shape has no filled pixels to sample');
+  }
+
+  // Sample on a coarser grid when there are far more pixels than particles
+  const step = Math.max(1, Math.floor(Math.sqrt(filled / count)));
+  const cells = [];
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const cx = Math.min(width - 1, x + (step >> 1));
+      const cy = Math.min(height - 1, y + (step >> 1));
+      if (pixels[(cy * width + cx) * 4 + 3] > 127) {
+        cells.push(x, y);
+      }
+    }
+  }
+
+  const cellCount = cells.length / 2;
+  const hideExtras = overflow === 'hide' && cellCount < count;
+  const visibleCount = hideExtras ? cellCount : count;
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < cells.length; i += 2) {
+    minX = Math.min(minX, cells[i]);
+    maxX = Math.max(maxX, cells[i] + step);
+    minY = Math.min(minY, cells[i + 1]);
+    maxY = Math.max(maxY, cells[i + 1] + step);
+  }
+
+  const scale = worldWidth / (maxX - minX);
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+
+  const positions = new Float32Array(count * 3);
+  const normals = new Float32Array(count * 3);
+  const visible = new Float32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    // Visible particles are spread evenly over every cell in row order;
+    // hidden ones reuse cells so they still fade out on the shape
+    const cell = i < visibleCount
+      ? Math.floor((i * cellCount) / visibleCount)
+      : (i - visibleCount) % cellCount;
+
+    // Jitter inside the cell so particles sharing one never stack up
+    const px = cells[cell * 2] + Math.random() * step;
+    const py = cells[cell * 2 + 1] + Math.random() * step;
+
+    positions[i * 3] = (px - centerX) * scale;
+    positions[i * 3 + 1] = -(py - centerY) * scale;
+    normals[i * 3 + 2] = 1;
+    visible[i] = i < visibleCount ? 1 : 0;
+  }
+
+  // Flat shapes read best without spin and with only a light shimmer
+  return { positions, normals, visible, spin: 0, displacement: 1 };
+};
+
+const toCssFamily = (family) => (
+  GENERIC_FONT_FAMILIES.has(family) ? family : `"${family}"`
+);
+
+const loadFont = async ({ fontFamily, fontUrl, fontWeight }) => {
+  if (fontUrl) {
+    const face = new FontFace(fontFamily, `url(${fontUrl})`, { weight: String(fontWeight) });
+    await face.load();
+    document.fonts.add(face);
+  }
+  await document.fonts.load(`${fontWeight} 100px ${toCssFamily(fontFamily)}`);
+};
+
+/**
+ * Text rendered with a local font.
+ *
+ * Options: `text`, `fontFamily` (default "sans-serif"), `fontWeight`
+ * (default 700), `fontUrl` (a bundled font file to register under
+ * `fontFamily`), `width` in world units (default 80) and `overflow`.
+ */
+export const textShape = async (grid, {
+  text,
+  fontFamily = 'sans-serif',
+  fontWeight = 700,
+  fontUrl,
+  width = 80,
+  overflow = 'redistribute',
+} = {}) => {
+  if (!text) {
+    throw new Error('The "text" shape needs a non-empty `text` option');
+  }
+
+  await loadFont({ fontFamily, fontUrl, fontWeight });
+
+  const raster = rasterizeForCount(grid.count, (scale) => {
+    const fontSize = Math.round((BASE_RASTER_SIZE / 4) * scale);
+    const font = `${fontWeight} ${fontSize}px ${toCssFamily(fontFamily)}`;
+
+    const measure = document.createElement('canvas').getContext('2d');
+    measure.font = font;
+    const padding = fontSize * 0.2;
+    const canvasWidth = Math.ceil(measure.measureText(text).width + padding * 2);
+    const canvasHeight = Math.ceil(fontSize * 1.4);
+
+    return rasterize(canvasWidth, canvasHeight, (ctx) => {
+      ctx.font = font;
+      ctx.textBaseline = 'middle';
+      ctx.fillText(text, padding, canvasHeight / 2);
+    });
+  });
+
+  return sampleRaster(raster, grid.count, { worldWidth: width, overflow });
+};
+
+// Collects path data and the viewBox from SVG markup
+const parseSvgMarkup = (markup) => {
+  const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+  const svg = doc.querySelector('svg');
+  if (!svg) {
+    throw new Error('The "svg" shape could not find an <svg> element in the markup');
+  }
+
+  const paths = [...svg.querySelectorAll('path')].map((path) => ({
+    d: path.getAttribute('d'),
+    fillRule: path.getAttribute('fill-rule') || 'nonzero',
+  }));
+
+  const viewBox = svg.getAttribute('viewBox')?.trim().split(/[\s,]+/).map(Number);
+  return { paths, viewBox };
+};
+
+/**
+ * SVG paths, e.g. a logo.
+ *
+ * Options: `svg` (markup string, only <path> elements are used) or `path`
+ * (one `d` string or an array of them) with `viewBox` ([minX, minY, w, h]),
+ * `width` in world units (default 60) and `overflow`.
+ */
+export const svgShape = (grid, {
+  svg,
+  path,
+  viewBox,
+  width = 60,
+  overflow = 'redistribute',
+} = {}) => {
+  const parsed = svg ? parseSvgMarkup(svg) : null;
+  const paths = parsed
+    ? parsed.paths
+    : [].concat(path ?? []).map((d) => ({ d, fillRule: 'nonzero' }));
+  const box = viewBox ?? parsed?.viewBox;
+
+  if (paths.length === 0) {
+    throw new Error('The "svg" shape needs `svg` markup with <path> elements or a `path` option');
+  }
+  if (!box || box.length !== 4) {
+    throw new Error('The "svg" shape needs a viewBox ([minX, minY, width, height])');
+  }
+
+  const [minX, minY, boxWidth, boxHeight] = box;
+
+  const raster = rasterizeForCount(grid.count, (scale) => {
+    const size = (BASE_RASTER_SIZE * scale) / Math.max(boxWidth, boxHeight);
+    const canvasWidth = Math.ceil(boxWidth * size);
+    const canvasHeight = Math.ceil(boxHeight * size);
+
+    return rasterize(canvasWidth, canvasHeight, (ctx) => {
+      ctx.setTransform(size, 0, 0, size, -minX * size, -minY * size);
+      paths.forEach(({ d, fillRule }) => ctx.fill(new Path2D(d), fillRule));
+    });
+  });
+
+  return sampleRaster(raster, grid.count, { worldWidth: width, overflow });
+};
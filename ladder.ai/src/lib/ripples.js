@@ -0,0 +1,54 @@
+/**
+ * Click / tap shockwaves.
+ *
+ * Every press starts a ring at the pointer that the shader grows outwards
+ * in screen space and fades over its lifetime. Ripples live in a fixed set
+ * of slots for the uniform array; when all are busy the oldest one is
+ * replaced.
+ */
+
+export const DEFAULT_RIPPLE = {
+  strength: 4, // World units of displacement at the ring's crest
+  speed: 1.2, // Ring growth in NDC units per second
+  lifetime: 1.6, // Seconds until the ring has faded out
+};
+
+/**
+ * @param {{ maxRipples: number }} options
+ * @returns {{ spawn: (x: number, y: number) => void, update: (delta: number, lifetime: number, out: import('three').Vector4[]) => void }}
+ */
+export const createRipples = ({ maxRipples }) => {
+  const slots = Array.from({ length: maxRipples }, () => ({ x: 0, y: 0, age: 0, alive: false }));
+
+  return {
+    /**
+     * Starts a ripple at (x, y) in NDC.
+     */
+    spawn(x, y) {
+      const slot = slots.find((candidate) => !candidate.alive)
+        ?? slots.reduce((oldest, candidate) => (candidate.age > oldest.age ? candidate : oldest));
+
+      slot.x = x;
+      slot.y = y;
+      slot.age = 0;
+      slot.alive = true;
+    },
+
+    /**
+     * Ages every ripple and writes (x, y, age, alive) into `out`.
+     *
+     * @param {number} delta - Seconds since the previous frame
+     * @param {number} lifetime - Seconds a ripple lives
+     * @param {import('three').Vector4[]} out - One vector per slot
+     */
+    update(delta, lifetime, out) {
+      slots.forEach((slot, i) => {
+        if (slot.alive) {
+          slot.age += delta;
+          slot.alive = slot.age < lifetime;
+        }
+        out[i].set(slot.x, slot.y, slot.age, slot.alive ? 1 : 0);
+      });
+    },
+  };
+};
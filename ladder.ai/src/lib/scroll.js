@@ -0,0 +1,131 @@
+/**
+ * Scroll drivers: where the morph progress (0..1) comes from.
+ *
+ * A driver reads the current progress and tells its subscribers when it
+ * may have changed. The particle components only ever see the progress, so
+ * the same smoothing applies whichever driver feeds them:
+ *
+ * - window: the page scroll, over `range` viewport heights (or the whole
+ *   document with `range: null`)
+ * - container: an element that scrolls itself, over `range` of its own
+ *   heights (or all of its content); its ref may attach after the driver
+ *   subscribes
+ * - element: how far an element has travelled through the viewport, so a
+ *   hero in the middle of the page morphs while it passes by
+ * - controlled: a progress set from code, e.g. a `progress` prop; anything
+ *   but a finite number is ignored
+ */
+
+/**
+ * @typedef {Object} ScrollDriver
+ * @property {() => number} read - Current progress, 0..1
+ * @property {(onChange: () => void) => () => void} subscribe - Calls `onChange` whenever the progress may have changed; returns the unsubscribe
+ */
+
+/**
+ * @typedef {Object} ScrollDriverOptions
+ * @property {'window' | 'container' | 'element' | 'controlled'} [type='window']
+ * @property {number | null} [range=1.5] - window / container: scroll distance for the full morph, in viewport (container) heights; null for all of it
+ * @property {HTMLElement | { current: HTMLElement | null }} [element] - container / element: the element, or a ref to it
+ * @property {number} [start=1] - element: viewport line (0 top .. 1 bottom) the element's top crosses at progress 0
+ * @property {number} [end=0] - element: viewport line the element's bottom crosses at progress 1
+ * @property {number} [progress=0] - controlled: initial progress
+ */
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Refs are read late, so a driver can be created before the element mounts
+const resolveElement = (element) => (element && 'current' in element ? element.current : element);
+
+const getWindowProgress = (range) => {
+  const maxScroll = range === null
+    ? document.documentElement.scrollHeight - window.innerHeight
+    : window.innerHeight * range;
+  return clamp01(window.scrollY / (maxScroll || 1));
+};
+
+const getContainerProgress = (container, range) => {
+  if (!container) return 0;
+  const maxScroll = range === null
+    ? container.scrollHeight - container.clientHeight
+    : container.clientHeight * range;
+  return clamp01(container.scrollTop / (maxScroll || 1));
+};
+
+// 0 when the element's top reaches the `start` line, 1 when its bottom
+// leaves past the `end` line
+const getElementProgress = (element, start, end) => {
+  if (!element) return 0;
+  const { top, height } = element.getBoundingClientRect();
+  const viewport = window.innerHeight;
+  const distance = (start - end) * viewport + height;
+  return clamp01((start * viewport - top) / (distance || 1));
+};
+
+// Scroll and resize listeners on `target`, plus window resizes
+const listen = (target, onChange, options) => {
+  target.addEventListener('scroll', onChange, options);
+  window.addEventListener('resize', onChange);
+  return () => {
+    target.removeEventListener('scroll', onChange, options);
+    window.removeEventListener('resize', onChange);
+  };
+};
+
+/**
+ * @param {ScrollDriverOptions} [options]
+ * @returns {ScrollDriver & { set?: (progress: number) => void }} Controlled drivers also have `set`
+ */
+export const createScrollDriver = ({
+  type = 'window',
+  range = 1.5,
+  element,
+  start = 1,
+  end = 0,
+  progress = 0,
+} = {}) => {
+  switch (type) {
+    case 'window':
+      return {
+        read: () => getWindowProgress(range),
+        subscribe: (onChange) => listen(window, onChange),
+      };
+
+    case 'container':
+      return {
+        read: () => getContainerProgress(resolveElement(element), range),
+        // Captured at the window and matched against whatever the ref holds
+        // by then, so the ref may attach or move after subscribing
+        subscribe: (onChange) => listen(window, (event) => {
+          if (event.type === 'resize' || event.target === resolveElement(element)) onChange();
+        }, { capture: true, passive: true }),
+      };
+
+    case 'element':
+      return {
+        read: () => getElementProgress(resolveElement(element), start, end),
+        // Captured at the window, so scrolling inside any container counts
+        subscribe: (onChange) => listen(window, onChange, { capture: true, passive: true }),
+      };
+
+    case 'controlled': {
+      let current = Number.isFinite(progress) ? clamp01(progress) : 0;
+      const listeners = new Set();
+      return {
+        read: () => current,
+        subscribe: (onChange) => {
+          listeners.add(onChange);
+          return () => listeners.delete(onChange);
+        },
+        set(next) {
+          if (!Number.isFinite(next)) return;
+          current = clamp01(next);
+          listeners.forEach((onChange) => onChange());
+        },
+      };
+    }
+
+    default:
+      throw new Error(`Unknown scroll driver "${type}"`);
+  }
+};
@@ -0,0 +1,181 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createScrollDriver } from './scroll';
+
+// A window that records its listeners and can fire events at them as if
+// they came from any target
+const createTestWindow = () => {
+  const listeners = [];
+  return {
+    innerHeight: 1000,
+    scrollY: 0,
+    listeners,
+    addEventListener: (type, listener, options) => listeners.push({ type, listener, options }),
+    removeEventListener: (type, listener, options) => {
+      const i = listeners.findIndex((entry) => (
+        entry.type === type && entry.listener === listener && entry.options?.capture === options?.capture
+      ));
+      if (i !== -1) listeners.splice(i, 1);
+    },
+    fire(type, target = this) {
+      listeners.filter((entry) => entry.type === type).forEach(({ listener }) => listener({ type, target }));
+    },
+  };
+};
+
+const createTestElement = (props) => ({ addEventListener() {}, removeEventListener() {}, ...props });
+
+describe('scroll drivers', () => {
+  let testWindow;
+
+  beforeEach(() => {
+    testWindow = createTestWindow();
+    vi.stubGlobal('window', testWindow);
+    vi.stubGlobal('document', { documentElement: { scrollHeight: 5000 } });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('window', () => {
+    it('runs over `range` viewport heights of page scroll', () => {
+      const driver = createScrollDriver();
+      expect(driver.read()).toBe(0);
+      testWindow.scrollY = 750;
+      expect(driver.read()).toBe(0.5);
+      testWindow.scrollY = 3000;
+      expect(driver.read()).toBe(1);
+
+      testWindow.scrollY = 500;
+      expect(createScrollDriver({ range: 2 }).read()).toBe(0.25);
+    });
+
+    it('runs over the whole document with a null range', () => {
+      testWindow.scrollY = 2000;
+      expect(createScrollDriver({ range: null }).read()).toBe(0.5);
+    });
+
+    it('does not divide by zero on a page that cannot scroll', () => {
+      vi.stubGlobal('document', { documentElement: { scrollHeight: 1000 } });
+      expect(createScrollDriver({ range: null }).read()).toBe(0);
+    });
+
+    it('reports scrolls and resizes until unsubscribed', () => {
+      const onChange = vi.fn();
+      const unsubscribe = createScrollDriver().subscribe(onChange);
+      testWindow.fire('scroll');
+      testWindow.fire('resize');
+      expect(onChange).toHaveBeenCalledTimes(2);
+
+      unsubscribe();
+      expect(testWindow.listeners).toHaveLength(0);
+    });
+  });
+
+  describe('container', () => {
+    const container = createTestElement({ clientHeight: 400, scrollHeight: 2000, scrollTop: 0 });
+
+    it('runs over `range` of its own heights, or all of its content', () => {
+      container.scrollTop = 300;
+      expect(createScrollDriver({ type: 'container', element: container }).read()).toBe(0.5);
+      expect(createScrollDriver({ type: 'container', element: container, range: null }).read()).toBeCloseTo(300 / 1600);
+    });
+
+    it('reads a ref that attaches after the driver is made', () => {
+      const ref = { current: null };
+      const driver = createScrollDriver({ type: 'container', element: ref });
+      expect(driver.read()).toBe(0);
+
+      container.scrollTop = 600;
+      ref.current = container;
+      expect(driver.read()).toBe(1);
+    });
+
+    it('reports only its own scrolls, and resizes', () => {
+      const ref = { current: null };
+      const onChange = vi.fn();
+      const unsubscribe = createScrollDriver({ type: 'container', element: ref }).subscribe(onChange);
+
+      ref.current = container;
+      testWindow.fire('scroll', container);
+      testWindow.fire('scroll', createTestElement());
+      testWindow.fire('resize');
+      expect(onChange).toHaveBeenCalledTimes(2);
+
+      unsubscribe();
+      expect(testWindow.listeners).toHaveLength(0);
+    });
+  });
+
+  describe('element', () => {
+    const createBox = (top, height = 500) => createTestElement({ getBoundingClientRect: () => ({ top, height }) });
+
+    it('runs from the element entering the viewport to it leaving', () => {
+      const read = (top) => createScrollDriver({ type: 'element', element: createBox(top) }).read();
+      // The top at the viewport bottom, then the bottom at the viewport top
+      expect(read(1000)).toBe(0);
+      expect(read(250)).toBe(0.5);
+      expect(read(-500)).toBe(1);
+      expect(read(2000)).toBe(0);
+    });
+
+    it('takes the start and end lines as fractions of the viewport', () => {
+      const driver = (top) => createScrollDriver({ type: 'element', element: createBox(top), start: 0.5, end: 0.5 });
+      expect(driver(500).read()).toBe(0);
+      expect(driver(250).read()).toBe(0.5);
+      expect(driver(0).read()).toBe(1);
+    });
+
+    it('is 0 until the element is there', () => {
+      expect(createScrollDriver({ type: 'element', element: { current: null } }).read()).toBe(0);
+    });
+
+    it('reports scrolls anywhere on the page', () => {
+      const onChange = vi.fn();
+      createScrollDriver({ type: 'element', element: createBox(0) }).subscribe(onChange);
+      testWindow.fire('scroll', createTestElement());
+      expect(onChange).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('controlled', () => {
+    it('reads the progress it was last set to, clamped to 0..1', () => {
+      const driver = createScrollDriver({ type: 'controlled', progress: 0.3 });
+      expect(driver.read()).toBe(0.3);
+      driver.set(0.8);
+      expect(driver.read()).toBe(0.8);
+      driver.set(2);
+      expect(driver.read()).toBe(1);
+      driver.set(-1);
+      expect(driver.read()).toBe(0);
+    });
+
+    it('ignores a progress that is not a finite number', () => {
+      expect(createScrollDriver({ type: 'controlled', progress: NaN }).read()).toBe(0);
+
+      const driver = createScrollDriver({ type: 'controlled', progress: 0.4 });
+      const onChange = vi.fn();
+      driver.subscribe(onChange);
+      driver.set(NaN);
+      driver.set(Infinity);
+      driver.set(undefined);
+      expect(driver.read()).toBe(0.4);
+      expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('tells its subscribers about every set until they unsubscribe', () => {
+      const driver = createScrollDriver({ type: 'controlled' });
+      const onChange = vi.fn();
+      const unsubscribe = driver.subscribe(onChange);
+      driver.set(0.5);
+      unsubscribe();
+      driver.set(0.6);
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(testWindow.listeners).toHaveLength(0);
+    });
+  });
+
+  it('rejects unknown types', () => {
+    expect(() => createScrollDriver({ type: 'wheel' })).toThrow('Unknown scroll driver "wheel"');
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Shape generators for the morphing particle field.
+ *
+ * Every generator receives the wave grid the particles live on and the
+ * stage options, and returns one target position and normal per particle:
+ *
+ *   (grid, options) => { positions: Float32Array, normals: Float32Array, wave?: boolean }
+ *
+ * `wave: true` marks the flat sheet itself; the shader animates it with the
+ * wave layers instead of the surface noise used by every other shape.
+ *
+ * Generators may also return `visible` (one 0/1 per particle, for shapes
+ * with fewer points than particles) and default `spin` / `displacement`
+ * values for the stage, and may return a Promise (e.g. to load a font).
+ */
+
+import * as THREE from 'three';
+import { modelShape } from './modelShapes';
+import { orderLikeGrid } from './pointOrder';
+import { svgShape, textShape } from './rasterShapes';
+
+const fillNormalsFromCenter = (positions, normals) => {
+  for (let i = 0; i < positions.length; i += 3) {
+    const x = positions[i];
+    const y = positions[i + 1];
+    const z = positions[i + 2];
+    const len = Math.sqrt(x * x + y * y + z * z) || 1;
+    normals[i] = x / len;
+    normals[i + 1] = y / len;
+    normals[i + 2] = z / len;
+  }
+};
+
+/**
+ * The particle grid: a PlaneGeometry whose vertices are the particles, and
+ * the grid description every generator receives.
+ */
+export const createShapeGrid = ({ width = 1, height = 1, segmentsX, segmentsY }) => {
+  const geometry = new THREE.PlaneGeometry(width, height, segmentsX, segmentsY);
+  const grid = {
+    count: geometry.attributes.position.count,
+    width,
+    height,
+    segmentsX,
+    segmentsY,
+    positions: geometry.attributes.position.array,
+  };
+  return { geometry, grid };
+};
+
+// The grid itself - positions are the PlaneGeometry vertices
+export const waveShape = (grid) => {
+  const normals = new Float32Array(grid.count * 3);
+  for (let i = 0; i < grid.count; i++) {
+    normals[i * 3 + 2] = 1;
+  }
+  return { positions: grid.positions, normals, wave: true };
+};
+
+// Unit Fibonacci spheres, ordered like the grid, per grid layout
+const fibonacciCache = new Map();
+
+// Golden-angle spiral: every point covers the same area, no poles or seam
+const getFibonacciSphere = ({ count, segmentsX }) => {
+  const key = `${count}:${segmentsX}`;
+  if (!fibonacciCache.has(key)) {
+    const positions = new Float32Array(count * 3);
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+
+    for (let i = 0; i < count; i++) {
+      const y = 1 - ((i + 0.5) / count) * 2;
+      const r = Math.sqrt(1 - y * y);
+      const theta = i * goldenAngle;
+
+      positions[i * 3] = r * Math.cos(theta);
+      positions[i * 3 + 1] = y;
+      positions[i * 3 + 2] = r * Math.sin(theta);
+    }
+
+    // On the unit sphere the normals are the positions
+    fibonacciCache.set(key, orderLikeGrid(positions, positions, { count, segmentsX }).positions);
+  }
+  return fibonacciCache.get(key);
+};
+
+const SPHERE_DISTRIBUTIONS = ['uv', 'fibonacci'];
+// Unknown distributions already logged, so each is reported once
+const reportedDistributions = new Set();
+
+/**
+ * Sphere of `radius`. The default `distribution: 'uv'` maps grid (ix, iy)
+ * straight to (theta, phi), which bunches dots at the poles and doubles
+ * them up on the seam; `'fibonacci'` spreads them evenly and matches grid
+ * rows to latitude bands so morph paths stay untangled. Any other
+ * distribution is logged and drawn as `'uv'`.
+ */
+export const sphereShape = (grid, { radius = 18, distribution = 'uv' } = {}) => {
+  const { count, segmentsX, segmentsY } = grid;
+
+  if (!SPHERE_DISTRIBUTIONS.includes(distribution) && !reportedDistributions.has(distribution)) {
+    reportedDistributions.add(distribution);
+    console.error(`Unknown sphere distribution "${distribution}"; using "uv". Known distributions: ${SPHERE_DISTRIBUTIONS.join(', ')}`);
+  }
+  const positions = new Float32Array(count * 3);
+  const normals = new Float32Array(count * 3);
+
+  if (distribution === 'fibonacci') {
+    const unit = getFibonacciSphere(grid);
+    for (let i = 0; i < unit.length; i++) {
+      positions[i] = unit[i] * radius;
+      normals[i] = unit[i];
+    }
+    return { positions, normals };
+  }
+
+  for (let i = 0; i < count; i++) {
+    const ix = i % (segmentsX + 1);
+    const iy = Math.floor(i / (segmentsX + 1));
+
+    // Map to sphere (Phi: 0 to PI, Theta: 0 to 2PI)
+    const phi = (iy / segmentsY) * Math.PI;
+    const theta = (ix / segmentsX) * Math.PI * 2;
+
+    positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
+    positions[i * 3 + 1] = radius * Math.cos(phi);
+    positions[i * 3 + 2] = radius * Math.sin(phi) * Math.sin(theta);
+  }
+
+  fillNormalsFromCenter(positions, normals);
+  return { positions, normals };
+};
+
+// UV sphere flattened onto the XY plane: every point keeps its direction
+// from the centre and lands at `size` times its (x, y), a disc that folds
+// back up into the sphere
+export const sphereProjectionShape = (grid, { size = 100, distribution } = {}) => {
+  const { positions } = sphereShape(grid, { radius: 1, distribution });
+  const normals = new Float32Array(grid.count * 3);
+
+  for (let i = 0; i < grid.count; i++) {
+    positions[i * 3] *= size;
+    positions[i * 3 + 1] *= size;
+    positions[i * 3 + 2] = 0;
+    normals[i * 3 + 2] = 1;
+  }
+
+  return { positions, normals };
+};
+
+// Torus around the Y axis: columns wrap the ring, rows wrap the tube
+export const torusShape = (grid, { radius = 16, tube = 6 } = {}) => {
+  const { count, segmentsX, segmentsY } = grid;
+  const positions = new Float32Array(count * 3);
+  const normals = new Float32Array(count * 3);
+
+  for (let i = 0; i < count; i++) {
+    const ix = i % (segmentsX + 1);
+    const iy = Math.floor(i / (segmentsX + 1));
+
+    const ring = (ix / segmentsX) * Math.PI * 2;
+    const around = (iy / segmentsY) * Math.PI * 2;
+
+    const cosRing = Math.cos(ring);
+    const sinRing = Math.sin(ring);
+    const cosAround = Math.cos(around);
+    const sinAround = Math.sin(around);
+
+    positions[i * 3] = (radius + tube * cosAround) * cosRing;
+    positions[i * 3 + 1] = tube * sinAround;
+    positions[i * 3 + 2] = (radius + tube * cosAround) * sinRing;
+
+    // Normal points away from the tube's centre line
+    normals[i * 3] = cosAround * cosRing;
+    normals[i * 3 + 1] = sinAround;
+    normals[i * 3 + 2] = cosAround * sinRing;
+  }
+
+  return { positions, normals };
+};
+
+// Scattered starfield: random points in a thick spherical shell
+export const starfieldShape = (grid, { innerRadius = 35, outerRadius = 90 } = {}) => {
+  const { count } = grid;
+  const positions = new Float32Array(count * 3);
+  const normals = new Float32Array(count * 3);
+
+  for (let i = 0; i < count; i++) {
+    // Uniform direction on the sphere
+    const z = Math.random() * 2 - 1;
+    const theta = Math.random() * Math.PI * 2;
+    const r = Math.sqrt(1 - z * z);
+    const distance = innerRadius + Math.random() * (outerRadius - innerRadius);
+
+    positions[i * 3] = r * Math.cos(theta) * distance;
+    positions[i * 3 + 1] = z * distance;
+    positions[i * 3 + 2] = r * Math.sin(theta) * distance;
+  }
+
+  fillNormalsFromCenter(positions, normals);
+  return { positions, normals };
+};
+
+export const SHAPES = {
+  wave: waveShape,
+  sphere: sphereShape,
+  sphereProjection: sphereProjectionShape,
+  torus: torusShape,
+  starfield: starfieldShape,
+  text: textShape,
+  svg: svgShape,
+  model: modelShape,
+};
+
+/**
+ * Makes a generator available by name to every particle component, e.g.
+ * `registerShape('heart', heartShape)` and then `{ shape: 'heart' }`.
+ */
+export const registerShape = (name, generator) => {
+  SHAPES[name] = generator;
+};
+
+/**
+ * Builds the target buffers for a stage. `stage.shape` is either the name
+ * of a built-in generator or a generator function.
+ */
+export const createShapeTarget = (grid, stage) => {
+  const generator = typeof stage.shape === 'function'
+    ? stage.shape
+    : Object.hasOwn(SHAPES, stage.shape) && SHAPES[stage.shape];
+  if (!generator) {
+    throw new Error(`Unknown particle shape "${stage.shape}" in stage "${stage.name}"`);
+  }
+  return generator(grid, stage);
+};
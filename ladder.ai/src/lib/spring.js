@@ -0,0 +1,83 @@
+/**
+ * Critically damped springs for easing values towards a moving target.
+ *
+ * Unlike a per-frame lerp (`value += (target - value) * 0.05`), a spring
+ * steps by the frame's delta, so it moves the same on a 60 Hz and a 144 Hz
+ * display, and it has a velocity: it eases in as well as out, carries
+ * momentum when the target keeps moving and never overshoots.
+ *
+ * How fast it follows is set as a response time: the seconds it takes to
+ * cover 90% of a jump from rest.
+ */
+
+// omega * t at which a critically damped spring from rest has covered 90%
+const SETTLE_90 = 3.89;
+
+/**
+ * The response time of a per-frame lerp factor at 60 fps, for moving old
+ * `*Smoothing` settings over to springs.
+ *
+ * @param {number} factor - 0..1 per frame
+ * @returns {number} Seconds, rounded to hundredths
+ */
+export const lerpFactorToResponse = (factor) => {
+  if (factor >= 1) return 0;
+  const ratePerSecond = -Math.log(1 - Math.max(factor, 0.001)) * 60;
+  return Math.round((Math.log(10) / ratePerSecond) * 100) / 100;
+};
+
+/**
+ * @param {number} [value=0] - Starting value, at rest
+ */
+export const createSpring = (value = 0) => {
+  let current = value;
+  let velocity = 0;
+
+  return {
+    get value() {
+      return current;
+    },
+
+    // Units per second
+    get velocity() {
+      return velocity;
+    },
+
+    /**
+     * Steps the spring towards `target`. Exact for any delta, so a long
+     * frame (or a tab coming back) lands where it should instead of
+     * exploding.
+     *
+     * @param {number} target
+     * @param {number} delta - Seconds since the previous step
+     * @param {number} response - Seconds to cover 90% of the way; 0 snaps
+     * @returns {number} The new value
+     */
+    update(target, delta, response) {
+      if (response <= 0) {
+        current = target;
+        velocity = 0;
+        return current;
+      }
+
+      const omega = SETTLE_90 / response;
+      const offset = current - target;
+      const decay = Math.exp(-omega * delta);
+      const drift = (velocity + omega * offset) * delta;
+      current = target + (offset + drift) * decay;
+      velocity = (velocity - omega * drift) * decay;
+      return current;
+    },
+
+    /**
+     * Sets the value outright, e.g. when something else drives it for a while.
+     *
+     * @param {number} next
+     * @param {number} [nextVelocity=0]
+     */
+    jump(next, nextVelocity = 0) {
+      current = next;
+      velocity = nextVelocity;
+    },
+  };
+};
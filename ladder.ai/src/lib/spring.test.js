@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { createSpring, lerpFactorToResponse } from './spring';
+
+// Steps a fresh spring towards `target` for `seconds` at `fps`
+const run = (target, seconds, fps, response) => {
+  const spring = createSpring();
+  const frames = Math.round(seconds * fps);
+  for (let i = 0; i < frames; i++) spring.update(target, 1 / fps, response);
+  return spring;
+};
+
+describe('createSpring', () => {
+  it('starts at rest at its value', () => {
+    const spring = createSpring(3);
+    expect(spring.value).toBe(3);
+    expect(spring.velocity).toBe(0);
+  });
+
+  it('covers 90% of a jump from rest in the response time', () => {
+    expect(run(1, 0.5, 60, 0.5).value).toBeCloseTo(0.9, 3);
+    expect(run(10, 2, 60, 2).value).toBeCloseTo(9, 2);
+  });
+
+  it('moves the same at any frame rate', () => {
+    const at30 = run(1, 0.5, 30, 0.75);
+    const at60 = run(1, 0.5, 60, 0.75);
+    const at144 = run(1, 0.5, 144, 0.75);
+    const once = createSpring();
+    once.update(1, 0.5, 0.75);
+
+    for (const spring of [at60, at144, once]) {
+      expect(spring.value).toBeCloseTo(at30.value, 10);
+      expect(spring.velocity).toBeCloseTo(at30.velocity, 10);
+    }
+  });
+
+  it('eases in and out without overshooting', () => {
+    const spring = createSpring();
+    const steps = [];
+    for (let i = 0; i < 120; i++) steps.push(spring.update(1, 1 / 60, 0.5));
+
+    // A slow start, then always rising and never past the target
+    expect(steps[0]).toBeLessThan(0.01);
+    expect(Math.max(...steps)).toBeLessThanOrEqual(1);
+    expect(steps.every((value, i) => i === 0 || value >= steps[i - 1])).toBe(true);
+  });
+
+  it('settles on the target after a long frame instead of exploding', () => {
+    const spring = createSpring();
+    spring.update(1, 100, 0.1);
+    expect(spring.value).toBeCloseTo(1, 10);
+    expect(spring.velocity).toBeCloseTo(0, 10);
+  });
+
+  it('snaps with a response of 0', () => {
+    const spring = createSpring();
+    spring.update(0.5, 1 / 60, 0.5);
+    expect(spring.update(2, 1 / 60, 0)).toBe(2);
+    expect(spring.velocity).toBe(0);
+  });
+
+  it('carries its velocity, so a moving target is followed with momentum', () => {
+    const spring = createSpring();
+    spring.update(1, 0.1, 0.5);
+    expect(spring.velocity).toBeGreaterThan(0);
+
+    // The target stops where the spring is; momentum carries it on a little
+    const { value } = spring;
+    spring.update(value, 0.05, 0.5);
+    expect(spring.value).toBeGreaterThan(value);
+  });
+
+  it('jumps to a value and velocity', () => {
+    const spring = createSpring();
+    spring.jump(0.5, 2);
+    expect(spring.value).toBe(0.5);
+    expect(spring.velocity).toBe(2);
+    spring.jump(0.2);
+    expect(spring.velocity).toBe(0);
+  });
+});
+
+describe('lerpFactorToResponse', () => {
+  it('gives the time a per-frame lerp at 60 fps took to cover 90%', () => {
+    expect(lerpFactorToResponse(0.05)).toBe(0.75);
+    expect(lerpFactorToResponse(0.1)).toBe(0.36);
+    // A 0.05 lerp is within 10% of the target after 45 frames
+    expect(0.95 ** 45).toBeCloseTo(0.1, 2);
+  });
+
+  it('snaps for a factor of 1 or more', () => {
+    expect(lerpFactorToResponse(1)).toBe(0);
+    expect(lerpFactorToResponse(2)).toBe(0);
+  });
+
+  it('treats a factor of 0 or less as a very slow follow rather than never', () => {
+    expect(lerpFactorToResponse(0)).toBe(lerpFactorToResponse(0.001));
+    expect(lerpFactorToResponse(-1)).toBe(lerpFactorToResponse(0.001));
+    expect(Number.isFinite(lerpFactorToResponse(0))).toBe(true);
+  });
+});
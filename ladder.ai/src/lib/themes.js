@@ -0,0 +1,228 @@
+/**
+ * Named themes for the morphing field: the particle colour ramps, the
+ * background gradient behind the canvas and how the dots blend.
+ *
+ * Dark themes add the dots up (additive blending), which makes overlaps
+ * glow but leaves them invisible on a light background. Light themes draw
+ * them over each other instead (normal blending), with soft edges so
+ * dense areas read as shading rather than a solid blot. Ember (the
+ * default) and tide are dark, daylight is light; registerTheme adds more.
+ *
+ * The particle colours are gradient ramps (see lib/gradientRamp): wave
+ * elevation looks up one, the noise on every other shape another.
+ *
+ * `createThemeBlend` animates the field from one theme to the next: the
+ * colours cross-fade, and when the blending mode changes the dots fade out
+ * and back in around the switch.
+ */
+
+import * as THREE from 'three';
+import {
+  createRampData,
+  createRampTexture,
+  isRampImage,
+  loadRamp,
+  mixRampData,
+  paletteRamp,
+  writeRamp,
+} from './gradientRamp';
+import { DEFAULT_COLORS } from './morphDefaults';
+
+/**
+ * @typedef {Object} Theme
+ * @property {import('./gradientRamp').Ramp} wave - Ramp across the wave elevation, low to high
+ * @property {import('./gradientRamp').Ramp} surface - Ramp across the noise on every other shape, low to high
+ * @property {[string, string]} background - Radial gradient behind the canvas: centre and edge colour
+ * @property {'additive' | 'normal'} blending - Additive glows on dark backgrounds; normal is for light ones
+ * @property {number} softness - 0 for crisp dots, up to 1 for dots that fade out from the centre
+ */
+
+/** @type {Record<string, Theme>} */
+export const THEMES = {
+  ember: {
+    wave: paletteRamp(DEFAULT_COLORS),
+    surface: ['#660505 0%', '#CC1A0D 60%', '#FF6600 100%'],
+    background: ['#2A0800', '#000000'],
+    blending: 'additive',
+    softness: 0,
+  },
+  tide: {
+    wave: paletteRamp(['#000412', '#033698', '#64CAFF']),
+    surface: ['#01071B 0%', '#033698 60%', '#36B5FF 100%'],
+    background: ['#061D33', '#000000'],
+    blending: 'additive',
+    softness: 0,
+  },
+  daylight: {
+    wave: paletteRamp(['#5674A6', '#0C1A37', '#BE321D']),
+    surface: ['#5088B1 0%', '#0C1A37 60%', '#030611 100%'],
+    background: ['#FFFFFF', '#E4E9F0'],
+    blending: 'normal',
+    softness: 0.6,
+  },
+};
+
+export const DEFAULT_THEME = 'ember';
+
+/**
+ * Makes a theme available by name, e.g. `registerTheme('brand', theme)`
+ * and then `theme="brand"`.
+ */
+export const registerTheme = (name, theme) => {
+  THEMES[name] = theme;
+};
+
+// Unknown names already logged, so a re-render does not repeat it
+const reportedThemes = new Set();
+
+/**
+ * Resolves a theme name, or completes a theme object from the default
+ * theme. An unknown name is logged once and falls back to the default,
+ * so a typo never takes the background down.
+ *
+ * @param {string | Partial<Theme>} theme
+ * @returns {Theme}
+ */
+export const getTheme = (theme) => {
+  if (typeof theme !== 'string') {
+    return { ...THEMES[DEFAULT_THEME], ...theme };
+  }
+  if (!Object.hasOwn(THEMES, theme)) {
+    if (!reportedThemes.has(theme)) {
+      reportedThemes.add(theme);
+      console.error(`Unknown particle theme "${theme}"; using "${DEFAULT_THEME}". Known themes: ${Object.keys(THEMES).join(', ')}`);
+    }
+    return THEMES[DEFAULT_THEME];
+  }
+  return THEMES[theme];
+};
+
+// CSS for the gradient behind the canvas
+export const getBackgroundStyle = ([center, edge]) => (
+  `radial-gradient(circle at 50% 50%, ${center} 0%, ${edge} 100%)`
+);
+
+/**
+ * The theme with its ramps baked into texel data, for `createThemeBlend`.
+ * Throws for image ramps, which need `loadThemeRamps`.
+ */
+export const createThemeRamps = (theme) => ({
+  ...theme,
+  wave: createRampData(theme.wave),
+  surface: createRampData(theme.surface),
+});
+
+export const hasRampImage = (theme) => isRampImage(theme.wave) || isRampImage(theme.surface);
+
+/**
+ * Like `createThemeRamps`, once any image ramps have loaded.
+ */
+export const loadThemeRamps = async (theme) => {
+  const [wave, surface] = await Promise.all([loadRamp(theme.wave), loadRamp(theme.surface)]);
+  return { ...theme, wave, surface };
+};
+
+const toColors = (colors) => colors.map((color) => new THREE.Color(color));
+
+const BLENDING = {
+  additive: THREE.AdditiveBlending,
+  normal: THREE.NormalBlending,
+};
+
+/**
+ * Drives a particle material's theme uniforms (uWaveRamp, uSurfaceRamp,
+ * the *From ramps and uRampMix they fade from, uSoftness, uOpacity) and
+ * blending mode. Themes are passed with baked ramps (`createThemeRamps`).
+ *
+ * @param {Object} options
+ * @param {THREE.ShaderMaterial} options.material
+ * @param {Theme} options.theme - Applied at once
+ */
+export const createThemeBlend = ({ material, theme }) => {
+  const { uniforms } = material;
+  // The theme's ramps, and a snapshot of the colours it fades in from
+  const ramps = {
+    wave: createRampTexture(theme.wave),
+    surface: createRampTexture(theme.surface),
+    waveFrom: createRampTexture(theme.wave),
+    surfaceFrom: createRampTexture(theme.surface),
+  };
+  uniforms.uWaveRamp.value = ramps.wave;
+  uniforms.uSurfaceRamp.value = ramps.surface;
+  uniforms.uWaveRampFrom.value = ramps.waveFrom;
+  uniforms.uSurfaceRampFrom.value = ramps.surfaceFrom;
+
+  let from = { theme, background: toColors(theme.background), opacity: 1 };
+  let to = from;
+  const background = toColors(theme.background);
+  let elapsed = 0;
+  let duration = 0;
+  let backgroundStyle = '';
+
+  const apply = (t) => {
+    const eased = t * t * (3 - 2 * t);
+    uniforms.uRampMix.value = eased;
+    background.forEach((color, i) => color.lerpColors(from.background[i], to.background[i], eased));
+    uniforms.uSoftness.value = THREE.MathUtils.lerp(from.theme.softness, to.theme.softness, eased);
+
+    // Blending cannot be mixed: switch halfway, while the dots are faded out
+    if (from.theme.blending === to.theme.blending) {
+      uniforms.uOpacity.value = THREE.MathUtils.lerp(from.opacity, 1, eased);
+      material.blending = BLENDING[to.theme.blending];
+    } else {
+      uniforms.uOpacity.value = eased < 0.5 ? from.opacity * (1 - 2 * eased) : 2 * eased - 1;
+      material.blending = BLENDING[eased < 0.5 ? from.theme.blending : to.theme.blending];
+    }
+
+    backgroundStyle = getBackgroundStyle(background.map((color) => `#${color.getHexString()}`));
+  };
+  apply(1);
+
+  return {
+    /**
+     * Starts moving towards `theme` from wherever the colours are now.
+     *
+     * @param {Theme} theme - With baked ramps
+     * @param {number} [seconds=0] - Length of the transition; 0 applies it at once
+     */
+    set(theme, seconds = 0) {
+      // Picks up mid-transition too: the ramps, opacity and blending on screen
+      const mix = uniforms.uRampMix.value;
+      for (const [target, source] of [[ramps.waveFrom, ramps.wave], [ramps.surfaceFrom, ramps.surface]]) {
+        mixRampData(target.image.data, source.image.data, mix, target.image.data);
+        target.needsUpdate = true;
+      }
+      writeRamp(ramps.wave, theme.wave);
+      writeRamp(ramps.surface, theme.surface);
+
+      from = {
+        theme: {
+          blending: material.blending === BLENDING.normal ? 'normal' : 'additive',
+          softness: uniforms.uSoftness.value,
+        },
+        background: background.map((color) => color.clone()),
+        opacity: uniforms.uOpacity.value,
+      };
+      to = { theme, background: toColors(theme.background) };
+      elapsed = 0;
+      duration = seconds;
+      apply(duration > 0 ? 0 : 1);
+    },
+
+    // Advances a running transition by `delta` seconds
+    update(delta) {
+      if (elapsed >= duration) return;
+      elapsed += delta;
+      apply(Math.min(1, elapsed / duration));
+    },
+
+    // CSS background for the current point of the transition
+    get background() {
+      return backgroundStyle;
+    },
+
+    dispose() {
+      Object.values(ramps).forEach((texture) => texture.dispose());
+    },
+  };
+};
@@ -0,0 +1,56 @@
+/**
+ * Morph timeline helpers.
+ *
+ * A timeline is an ordered list of stages. Each stage is fully formed at its
+ * `at` position on the 0..1 scroll progress; stages without `at` are spaced
+ * evenly. Between two stops the particles morph from one stage to the next,
+ * each a little after its neighbours, along the stage's trajectory
+ * (lib/trajectories).
+ */
+
+export const getStageStops = (stages) => {
+  const last = stages.length - 1;
+  return stages.map((stage, i) => stage.at ?? (last > 0 ? i / last : 0));
+};
+
+/**
+ * Finds the pair of stages the progress falls between and how far the
+ * morph between them has come (0..1).
+ */
+export const getStageSegment = (stops, progress) => {
+  const last = stops.length - 1;
+  if (last <= 0) return { from: 0, to: 0, progress: 0 };
+  if (progress <= stops[0]) return { from: 0, to: 1, progress: 0 };
+
+  for (let i = 0; i < last; i++) {
+    if (progress <= stops[i + 1]) {
+      const span = stops[i + 1] - stops[i];
+      return { from: i, to: i + 1, progress: span > 0 ? (progress - stops[i]) / span : 1 };
+    }
+  }
+
+  return { from: last - 1, to: last, progress: 1 };
+};
+
+// The stage stop closest to the progress, for jumping instead of morphing
+export const getNearestStop = (stops, progress) => (
+  stops.reduce((nearest, stop) => (
+    Math.abs(stop - progress) < Math.abs(nearest - progress) ? stop : nearest
+  ), stops[0])
+);
+
+export const EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - (1 - t) ** 3,
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - ((-2 * t + 2) ** 3) / 2),
+};
+
+// A named easing from EASINGS, or any (t: 0..1) => 0..1 function
+export const getEasing = (easing) => {
+  if (typeof easing === 'function') return easing;
+  if (!Object.hasOwn(EASINGS, easing)) {
+    throw new Error(`Unknown easing "${easing}"`);
+  }
+  return EASINGS[easing];
+};
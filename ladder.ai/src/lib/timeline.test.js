@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { EASINGS, getEasing, getNearestStop, getStageSegment, getStageStops } from './timeline';
+
+describe('getStageStops', () => {
+  it('spaces stages without `at` evenly', () => {
+    expect(getStageStops([{}, {}, {}])).toEqual([0, 0.5, 1]);
+  });
+
+  it('keeps the `at` a stage sets', () => {
+    expect(getStageStops([{}, { at: 0.2 }, {}])).toEqual([0, 0.2, 1]);
+  });
+
+  it('puts a single stage at 0', () => {
+    expect(getStageStops([{}])).toEqual([0]);
+  });
+});
+
+describe('getStageSegment', () => {
+  const stops = [0, 0.25, 1];
+
+  it('finds the stages around the progress and how far between them it is', () => {
+    expect(getStageSegment(stops, 0.125)).toEqual({ from: 0, to: 1, progress: 0.5 });
+    expect(getStageSegment(stops, 0.625)).toEqual({ from: 1, to: 2, progress: 0.5 });
+  });
+
+  it('holds the first and last stage outside the stops', () => {
+    expect(getStageSegment([0.2, 0.8], 0)).toEqual({ from: 0, to: 1, progress: 0 });
+    expect(getStageSegment([0.2, 0.8], 1)).toEqual({ from: 0, to: 1, progress: 1 });
+  });
+
+  it('ends the earlier segment on a shared stop', () => {
+    expect(getStageSegment(stops, 0.25)).toEqual({ from: 0, to: 1, progress: 1 });
+  });
+
+  it('treats two stages at the same stop as already arrived', () => {
+    expect(getStageSegment([0, 0.5, 0.5, 1], 0.5)).toEqual({ from: 0, to: 1, progress: 1 });
+    expect(getStageSegment([0.5, 0.5], 0.5)).toEqual({ from: 0, to: 1, progress: 0 });
+  });
+
+  it('stays on the only stage of a single-stage timeline', () => {
+    expect(getStageSegment([0], 0.7)).toEqual({ from: 0, to: 0, progress: 0 });
+  });
+});
+
+describe('getNearestStop', () => {
+  const stops = [0, 0.3, 1];
+
+  it('returns the closest stop', () => {
+    expect(getNearestStop(stops, 0.1)).toBe(0);
+    expect(getNearestStop(stops, 0.5)).toBe(0.3);
+    expect(getNearestStop(stops, 0.7)).toBe(1);
+  });
+
+  it('keeps the earlier stop on a tie', () => {
+    expect(getNearestStop(stops, 0.15)).toBe(0);
+  });
+
+  it('clamps to the first and last stop', () => {
+    expect(getNearestStop(stops, -1)).toBe(0);
+    expect(getNearestStop(stops, 2)).toBe(1);
+  });
+});
+
+describe('getEasing', () => {
+  it('returns the named easings and passes functions through', () => {
+    const custom = (t) => t * t;
+    expect(getEasing('easeIn')).toBe(EASINGS.easeIn);
+    expect(getEasing(custom)).toBe(custom);
+  });
+
+  it('runs every named easing from 0 to 1', () => {
+    for (const easing of Object.values(EASINGS)) {
+      expect(easing(0)).toBe(0);
+      expect(easing(1)).toBe(1);
+    }
+    expect(EASINGS.easeInOut(0.5)).toBe(0.5);
+  });
+
+  it('rejects unknown names, including inherited properties', () => {
+    expect(() => getEasing('bounce')).toThrow('Unknown easing "bounce"');
+    expect(() => getEasing('toString')).toThrow('Unknown easing "toString"');
+    expect(() => getEasing(undefined)).toThrow('Unknown easing "undefined"');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Paths the particles take between two stages.
+ *
+ * Every trajectory starts from the straight line between the two targets
+ * and bends it by an amount that is zero at both ends, so the stages
+ * themselves look the same whichever path leads to them. Each particle's
+ * `random` (the `aRandom` attribute) varies how far and which way it goes.
+ *
+ * The shader picks the path from a uniform, so switching trajectories
+ * between stage pairs needs no new program.
+ */
+
+export const TRAJECTORIES = {
+  linear: { id: 0, strength: 0 },
+  curl: { id: 1, strength: 12 }, // World units the flow carries a dot off the line
+  vortex: { id: 2, strength: 3 }, // Radians of swirl around the Y axis at mid-morph
+  scatter: { id: 3, strength: 35 }, // World units the dots fly apart before regathering
+};
+
+export const getTrajectory = (name) => {
+  if (!Object.hasOwn(TRAJECTORIES, name)) {
+    throw new Error(`Unknown morph transition "${name}"`);
+  }
+  return TRAJECTORIES[name];
+};
+
+/**
+ * Packs a trajectory into the `uTrajectory` uniform layout: x the shader's
+ * path id, y its strength.
+ *
+ * @param {import('three').Vector2} out
+ * @param {keyof TRAJECTORIES} name
+ * @param {number} [strength] - Overrides the trajectory's default strength
+ */
+export const setTrajectory = (out, name, strength) => {
+  const trajectory = getTrajectory(name);
+  out.set(trajectory.id, strength ?? trajectory.strength);
+};
+
+// Needs ROTATION_GLSL and SIMPLEX_NOISE_GLSL before it
+export const TRAJECTORY_GLSL = `
+  vec3 curlPotential(vec3 p) {
+    return vec3(
+      snoise(p),
+      snoise(p + vec3(31.4, 47.2, 12.7)),
+      snoise(p + vec3(-23.1, 17.9, 59.3))
+    );
+  }
+
+  // Divergence-free flow: dots swirl along it without bunching up
+  vec3 curlNoise(vec3 p) {
+    const float e = 0.1;
+    vec3 dx = vec3(e, 0.0, 0.0);
+    vec3 dy = vec3(0.0, e, 0.0);
+    vec3 dz = vec3(0.0, 0.0, e);
+
+    vec3 x0 = curlPotential(p - dx);
+    vec3 x1 = curlPotential(p + dx);
+    vec3 y0 = curlPotential(p - dy);
+    vec3 y1 = curlPotential(p + dy);
+    vec3 z0 = curlPotential(p - dz);
+    vec3 z1 = curlPotential(p + dz);
+
+    return vec3(
+      (y1.z - y0.z) - (z1.y - z0.y),
+      (z1.x - z0.x) - (x1.z - x0.z),
+      (x1.y - x0.y) - (y1.x - y0.x)
+    ) / (2.0 * e);
+  }
+
+  // x: path (0 linear, 1 curl, 2 vortex, 3 scatter), y: strength
+  vec3 trajectoryPath(vec3 fromPos, vec3 toPos, float progress, float random, vec2 trajectory) {
+    vec3 linearPos = mix(fromPos, toPos, progress);
+    // Zero at both stages, strongest halfway
+    float bend = sin(progress * 3.14159);
+
+    if (trajectory.x > 2.5) {
+      // Scatter: fly out along a per-dot direction, then regather
+      vec3 direction = normalize(vec3(
+        sin(random * 78.23),
+        cos(random * 43.71),
+        sin(random * 12.97 + 1.0)
+      ) + normalize(linearPos + vec3(1e-4)));
+      return linearPos + direction * trajectory.y * (0.4 + random) * bend * bend;
+    }
+    if (trajectory.x > 1.5) {
+      // Vortex: swirl around the Y axis, flung slightly outwards
+      float angle = trajectory.y * (0.5 + random) * bend;
+      vec3 swirled = rotateY(angle) * linearPos;
+      swirled.xz *= 1.0 + 0.3 * random * bend;
+      return swirled;
+    }
+    if (trajectory.x > 0.5) {
+      // Curl: drift along the noise flow, each dot from its own spot in it
+      vec3 flow = curlNoise(linearPos * 0.03 + random * 10.0);
+      return linearPos + flow * trajectory.y * (0.5 + random) * bend * 0.25;
+    }
+    return linearPos;
+  }
+`;
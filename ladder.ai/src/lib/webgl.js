@@ -0,0 +1,13 @@
+import WebGL from 'three/addons/capabilities/WebGL.js';
+
+/**
+ * Whether the browser can create the WebGL 2 context three.js renders with.
+ * Throws nothing: a missing or blocklisted GPU simply reports false.
+ */
+export const isWebGLAvailable = () => {
+  try {
+    return WebGL.isWebGL2Available();
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * The preset library: every JSON file in this folder, by file name.
+ * Pick one with `preset="tide"` or `?preset=tide` (see lib/preset).
+ */
+
+const files = import.meta.glob('./*.json', { eager: true, import: 'default' });
+
+export const PRESETS = Object.fromEntries(
+  Object.entries(files).map(([path, preset]) => [path.slice(2, -'.json'.length), preset])
+);